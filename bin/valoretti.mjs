@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Command-line calculator: prices a JSON or YAML spend profile (the same keys
+// as the calculator's inputs) with the engine the page uses, or with --batch a
+// CSV of one profile per row (see lib/batch.js). Exits 1 when the card is not
+// worth keeping (for anyone, in batch mode), so renewal checks can be
+// scripted, and 2 on bad usage or an invalid profile or row.
+//
+//   npm run roi -- profile.yaml [--format table|json|csv] [--card <id>]
+//   npm run roi -- --batch people.csv [--format table|json|csv] [--card <id>]
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { parse as parseYAML } from 'yaml';
+import { batchToCSV, batchVerdict, evaluateBatch, formatBatchErrors, parseBatchCSV } from '../lib/batch.js';
+import { CARDS, DEFAULT_CARD, getCard } from '../lib/cards/index.js';
+import { createI18n } from '../lib/i18n/index.js';
+import { breakdownToCSV, buildExportDocument } from '../lib/report.js';
+import { computeROI, getRecommendation } from '../lib/roi.js';
+import { checkInputs } from '../lib/validation.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: valoretti <profile.json|profile.yaml> [options]
+       valoretti --batch <people.csv> [options]
+
+Options:
+  --batch            read a CSV with a name column and one row per person
+  --format <format>  ${FORMATS.join(', ')} (default: table)
+  --card <id>        card to price (default: ${DEFAULT_CARD.id}); one of
+                     ${Object.keys(CARDS).join(', ')}
+  --help             show this message`;
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(2);
+};
+
+const readText = (path) => {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch (error) {
+    fail('Cannot read ' + path + ': ' + error.message);
+  }
+};
+
+const readProfile = (path) => {
+  const text = readText(path);
+  // JSON is valid YAML, so one parser reads both
+  try {
+    return parseYAML(text);
+  } catch (error) {
+    fail('Cannot parse ' + path + ': ' + error.message);
+  }
+};
+
+const formatTable = (results, recommendation, card) => {
+  const { t, formatCurrency, formatPercent, lineLabel, renderDetails } = createI18n('en');
+  const rows = Object.entries(results.breakdown).map(([key, line]) => [
+    lineLabel(key),
+    renderDetails(line.details),
+    formatCurrency(line.value),
+    t('common.range', { min: formatCurrency(line.min), max: formatCurrency(line.max) })
+  ]);
+  const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length), 0));
+  const table = rows.map(([label, details, value, range]) =>
+    label.padEnd(widths[0]) + '  ' + details.padEnd(widths[1]) + '  ' + value.padStart(widths[2]) + '  ' + range);
+
+  return [
+    card.name.toUpperCase() + ' • ' + t('notes.terms', { version: card.version }),
+    '',
+    ...table,
+    '',
+    t('roi.annualFee') + ': ' + formatCurrency(-results.totalCost),
+    t('roi.benefitValue') + ': ' + formatCurrency(results.totalValue),
+    t('roi.netValue') + ': ' + formatCurrency(recommendation.net),
+    t('roi.returnOnInvestment') + ': ' + formatPercent(results.roi) +
+      ' (' + t('common.range', { min: formatPercent(results.minROI), max: formatPercent(results.maxROI) }) + ')',
+    t(recommendation.recommended ? 'verdict.recommended' : 'verdict.notRecommended') + ' • ' +
+      t(recommendation.recommended ? 'verdict.keep' : 'verdict.considerAlternatives')
+  ].join('\n');
+};
+
+const formatBatchTable = (evaluations) => {
+  const { formatCurrency, formatPercent } = createI18n('en');
+  const rows = [
+    ['NAME', 'VALUE', 'NET', 'ROI', 'RANGE', 'VERDICT'],
+    ...evaluations.map(evaluation => {
+      const { results, recommendation } = evaluation;
+      if (!results) return [evaluation.name, '', '', '', '', batchVerdict(evaluation)];
+      return [
+        evaluation.name,
+        formatCurrency(results.totalValue),
+        formatCurrency(recommendation.net),
+        formatPercent(results.roi),
+        formatPercent(results.minROI) + ' TO ' + formatPercent(results.maxROI),
+        batchVerdict(evaluation)
+      ];
+    })
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  // Name and verdict read left to right, the amounts line up on the right
+  const pad = (cell, column) => (column === 0 || column === widths.length - 1
+    ? cell.padEnd(widths[column])
+    : cell.padStart(widths[column]));
+  const table = rows.map(row => row.map(pad).join('  ').trimEnd());
+  const errors = evaluations
+    .filter(evaluation => !evaluation.results)
+    .map(evaluation => 'ROW ' + evaluation.row + ' (' + evaluation.name + '): ' + formatBatchErrors(evaluation.errors));
+
+  return [...table, ...(errors.length > 0 ? ['', ...errors] : [])].join('\n');
+};
+
+const runBatch = (path, format, card) => {
+  let rows;
+  try {
+    rows = parseBatchCSV(readText(path), card);
+  } catch (error) {
+    fail('Cannot parse ' + path + ': ' + error.message);
+  }
+  const evaluations = evaluateBatch(rows, card);
+
+  if (format === 'json') {
+    console.log(JSON.stringify(evaluations, null, 2));
+  } else if (format === 'csv') {
+    process.stdout.write(batchToCSV(evaluations));
+  } else {
+    console.log(formatBatchTable(evaluations));
+  }
+
+  if (evaluations.some(evaluation => !evaluation.results)) {
+    process.exitCode = 2;
+  } else if (evaluations.some(evaluation => !evaluation.recommendation.recommended)) {
+    process.exitCode = 1;
+  }
+};
+
+const main = () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'table' },
+        card: { type: 'string', default: DEFAULT_CARD.id },
+        batch: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    fail(error.message + '\n\n' + USAGE);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) fail(USAGE);
+  if (!FORMATS.includes(values.format)) fail('Unknown format ' + values.format + '\n\n' + USAGE);
+
+  const card = getCard(values.card);
+  if (!card) fail('Unknown card ' + values.card + '\n\n' + USAGE);
+
+  if (values.batch) {
+    runBatch(positionals[0], values.format, card);
+    return;
+  }
+
+  const { inputs, errors } = checkInputs(readProfile(positionals[0]), card);
+  const invalid = Object.entries(errors);
+  if (invalid.length > 0) {
+    fail('Invalid profile:\n' + invalid.map(([key, message]) => '  ' + key + ': ' + message).join('\n'));
+  }
+
+  const results = computeROI(inputs, card);
+  const recommendation = getRecommendation(results);
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(buildExportDocument(inputs, results, card), null, 2));
+  } else if (values.format === 'csv') {
+    process.stdout.write(breakdownToCSV(results));
+  } else {
+    console.log(formatTable(results, recommendation, card));
+  }
+
+  if (!recommendation.recommended) process.exitCode = 1;
+};
+
+main();
@@ -0,0 +1,78 @@
+import React from 'react';
+import { authorizedUserKey, getAuthorizedUserCount } from '../lib/cards';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const fieldStyle = {
+  backgroundColor: '#F8F6F0',
+  borderColor: '#F8F6F0',
+  borderRadius: STATIC_STYLES.borderRadius24
+};
+
+const AuthorizedUsers = ({ inputs, card, onInputChange }) => {
+  const { t, formatCurrency } = useI18n();
+
+  if (!card.authorizedUsers) return null;
+
+  const { fee, maxUsers, loungeVisitValue } = card.authorizedUsers;
+  const count = getAuthorizedUserCount(inputs, card);
+
+  const numberField = (key, label) => (
+    <label className="block text-xs font-black tracking-wide">
+      {label}
+      <input
+        type="text"
+        value={inputs[key]}
+        onChange={(e) => onInputChange(key, Number(e.target.value) || 0)}
+        className="w-full mt-1 p-2 text-lg font-black text-black border-4 focus:outline-none"
+        style={fieldStyle}
+        placeholder="0"
+      />
+    </label>
+  );
+
+  return (
+    <div className="relative"
+         style={{
+           background: 'linear-gradient(135deg, #E07A5F 0%, #D6704B 50%, #E07A5F 100%)',
+           borderRadius: STATIC_STYLES.borderRadius32,
+           boxShadow: PANEL_SHADOW
+         }}>
+      <div className="p-8 text-white" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <h3 className="text-2xl font-black mb-6 tracking-wide">
+          {t('authorizedUsers.title')}
+        </h3>
+
+        <div className="flex gap-3 mb-4">
+          {Array.from({ length: maxUsers + 1 }, (_, n) => (
+            <button key={n} type="button" onClick={() => onInputChange('authorizedUsers', n)}
+                    className="w-12 h-12 font-black rounded-full border-4 border-white transition-all duration-300 hover:scale-105"
+                    style={{ backgroundColor: n === count ? '#E9C46A' : '#F8F6F0', color: '#000000' }}>
+              {n}
+            </button>
+          ))}
+        </div>
+
+        <div className="text-xs font-bold mb-6">
+          {fee > 0 ? t('authorizedUsers.feePerUser', { fee: formatCurrency(fee) }) : t('authorizedUsers.noFee')}
+          {count > 0 && ' • ' + t('authorizedUsers.addsCost', { amount: formatCurrency(count * fee) })}
+          {loungeVisitValue > 0 && ' • ' + t('authorizedUsers.loungeAccess')}
+        </div>
+
+        <div className="space-y-4">
+          {Array.from({ length: count }, (_, index) => index + 1).map(n => (
+            <div key={n} className="p-4 rounded-2xl" style={{ backgroundColor: '#3D405B' }}>
+              <div className="font-black text-sm tracking-wide mb-3">{t('authorizedUsers.user', { n })}</div>
+              <div className="grid grid-cols-2 gap-3">
+                {numberField(authorizedUserKey(n, 'Spend'), t('authorizedUsers.annualSpend'))}
+                {loungeVisitValue > 0 && numberField(authorizedUserKey(n, 'LoungeVisits'), t('authorizedUsers.loungeVisits'))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthorizedUsers;
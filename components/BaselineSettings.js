@@ -0,0 +1,76 @@
+import React from 'react';
+import { BASELINE_PRESETS, DEFAULT_CUSTOM_PERCENT, getIncrementalEarnings } from '../lib/baseline';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const BaselineSettings = ({ baseline, inputs, card, onChange }) => {
+  const { t, tc, formatCurrency } = useI18n();
+  const rows = getIncrementalEarnings(inputs, card, baseline);
+
+  return (
+    <div className="relative"
+         style={{
+           background: 'linear-gradient(135deg, #3D405B 0%, #2F3142 50%, #3D405B 100%)',
+           borderRadius: STATIC_STYLES.borderRadius32,
+           boxShadow: PANEL_SHADOW
+         }}>
+      <div className="p-8">
+        <h3 className="text-2xl font-black text-white mb-6 tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('baseline.title')}
+        </h3>
+
+        <div className="grid grid-cols-1 gap-3">
+          {Object.keys(BASELINE_PRESETS).map(key => (
+            <button key={key} type="button"
+                    onClick={() => onChange({ ...baseline, preset: key })}
+                    className="p-3 font-black text-xs tracking-wider rounded-2xl transition-all duration-300 hover:scale-105"
+                    style={{
+                      backgroundColor: baseline.preset === key ? '#E9C46A' : '#F8F6F0',
+                      color: '#000000',
+                      fontFamily: STATIC_STYLES.fontFamily
+                    }}>
+              {t('baseline.preset.' + key)}
+            </button>
+          ))}
+        </div>
+
+        {baseline.preset === 'custom' && (
+          <div className="mt-6 space-y-3">
+            {card.earn.map(category => (
+              <label key={category.key} className="flex items-center justify-between gap-3 text-sm font-black text-white tracking-wide"
+                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                {tc(category.label)} %
+                <input
+                  type="text"
+                  value={baseline.customPercent[category.key] ?? DEFAULT_CUSTOM_PERCENT}
+                  onChange={(e) => onChange({
+                    ...baseline,
+                    customPercent: { ...baseline.customPercent, [category.key]: e.target.value }
+                  })}
+                  className="w-20 p-2 font-black text-black text-center border-4 focus:outline-none"
+                  style={{ backgroundColor: '#F8F6F0', borderColor: '#F8F6F0', borderRadius: STATIC_STYLES.borderRadius24 }}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        {baseline.preset !== 'none' && (
+          <div className="mt-6 p-4 rounded-2xl space-y-1 text-white text-xs font-bold"
+               style={{ backgroundColor: '#C8512F', fontFamily: STATIC_STYLES.fontFamily }}>
+            <div className="font-black text-sm tracking-wide mb-2">{t('baseline.earnedOver')}</div>
+            {rows.map(row => (
+              <div key={row.category.key} className="flex justify-between">
+                <span>{tc(row.category.label)}</span>
+                <span>{formatCurrency(row.incremental)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BaselineSettings;
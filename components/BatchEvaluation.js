@@ -0,0 +1,123 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { NAME_COLUMN, batchToCSV, batchVerdict, evaluateBatch, formatBatchErrors, parseBatchCSV } from '../lib/batch';
+import { download } from './download';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+// Keyed by lib/batch batchVerdict
+const VERDICTS = {
+  KEEP: { message: 'batch.keep', color: '#3D405B' },
+  'NOT RECOMMENDED': { message: 'verdict.notRecommended', color: '#C8512F' },
+  ERROR: { message: 'batch.error', color: '#E07A5F' }
+};
+
+const BatchEvaluation = ({ card }) => {
+  const { t, formatCurrency, formatPercent } = useI18n();
+  const [text, setText] = useState(null);
+  const [fileName, setFileName] = useState('');
+
+  // Re-priced whenever the card's valuation or baseline changes
+  const { evaluations, error } = useMemo(() => {
+    if (text === null) return { evaluations: [], error: null };
+    try {
+      return { evaluations: evaluateBatch(parseBatchCSV(text, card), card), error: null };
+    } catch (parseError) {
+      console.error('Batch CSV error:', parseError);
+      return { evaluations: [], error: parseError.message };
+    }
+  }, [text, card]);
+
+  const handleFile = useCallback((event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(String(reader.result));
+      setFileName(file.name);
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }, []);
+
+  return (
+    <div className="border-8 rounded-3xl xl:col-span-2" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+      <div className="p-4" style={{ backgroundColor: '#3D405B', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-white text-center tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('batch.title')}
+        </h3>
+      </div>
+
+      <div className="p-6 text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <label className="block text-xs font-bold mb-4">
+          {t('batch.hint', { column: NAME_COLUMN })}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile}
+                 className="block w-full mt-2 text-sm font-bold" />
+        </label>
+
+        {error && (
+          <div className="p-3 rounded-2xl text-white font-bold text-sm" style={{ backgroundColor: '#C8512F' }}>
+            {error}
+          </div>
+        )}
+
+        {evaluations.length > 0 && (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b-4" style={{ borderColor: '#3D405B' }}>
+                    <th className="text-left py-2 font-black">{t('batch.name')}</th>
+                    <th className="text-right py-2 font-black">{t('projection.value')}</th>
+                    <th className="text-right py-2 font-black">{t('projection.net')}</th>
+                    <th className="text-right py-2 font-black">ROI</th>
+                    <th className="text-right py-2 font-black">{t('report.range')}</th>
+                    <th className="text-right py-2 font-black">{t('batch.verdict')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {evaluations.map(evaluation => {
+                    const { results, recommendation } = evaluation;
+                    const verdict = VERDICTS[batchVerdict(evaluation)];
+                    return (
+                      <tr key={evaluation.row} className="border-b-2" style={{ borderColor: '#E9C46A' }}>
+                        <td className="py-2 font-bold">{evaluation.name}</td>
+                        {results ? (
+                          <>
+                            <td className="py-2 text-right font-bold">{formatCurrency(results.totalValue)}</td>
+                            <td className="py-2 text-right font-black">{formatCurrency(recommendation.net)}</td>
+                            <td className="py-2 text-right font-black">{formatPercent(results.roi)}</td>
+                            <td className="py-2 text-right text-xs">
+                              {t('common.range', { min: formatPercent(results.minROI), max: formatPercent(results.maxROI) })}
+                            </td>
+                          </>
+                        ) : (
+                          <td colSpan={4} className="py-2 text-right text-xs font-bold">
+                            {t('batch.rowError', { row: evaluation.row, errors: formatBatchErrors(evaluation.errors) })}
+                          </td>
+                        )}
+                        <td className="py-2 text-right font-black" style={{ color: verdict.color }}>
+                          {t(verdict.message)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <button type="button"
+                    onClick={() => download(fileName.replace(/\.csv$/i, '') + '-roi.csv', batchToCSV(evaluations), 'text/csv')}
+                    className="mt-6 w-full p-3 font-black text-sm tracking-wider rounded-2xl border-4"
+                    style={{ backgroundColor: '#E9C46A', borderColor: '#3D405B' }}>
+              {t('batch.download')}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchEvaluation;
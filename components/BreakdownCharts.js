@@ -0,0 +1,99 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, breakdownColor } from './styles';
+
+const CHART_WIDTH = 360;
+const LABEL_WIDTH = 130;
+const ROW_HEIGHT = 22;
+
+// One bar of every line's value stacked left to right, with the fee marked
+// across it: the bar passing the line is the card paying for itself.
+const ValueBar = ({ lines, totalCost }) => {
+  const { t, formatCurrency, lineLabel } = useI18n();
+  const total = lines.reduce((sum, line) => sum + Math.max(line.value, 0), 0);
+  const max = Math.max(total, totalCost) * 1.05 || 1;
+  const x = (amount) => (amount / max) * CHART_WIDTH;
+  const feeX = x(totalCost);
+
+  let offset = 0;
+  const segments = lines.map(line => {
+    const segment = { ...line, x: x(offset), width: x(Math.max(line.value, 0)) };
+    offset += Math.max(line.value, 0);
+    return segment;
+  });
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} 70`} className="w-full" role="img"
+         aria-label={t('breakdown.valueChartLabel')} style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+      <rect x="0" y="18" width={CHART_WIDTH} height="32" rx="6" fill="#F8F6F0" stroke="#3D405B" strokeWidth="2" />
+      {segments.map(segment => (
+        <rect key={segment.key} x={segment.x} y="18" width={segment.width} height="32"
+              fill={segment.color} stroke="#F8F6F0" strokeWidth="1">
+          <title>{lineLabel(segment.key) + ': ' + formatCurrency(segment.value)}</title>
+        </rect>
+      ))}
+      <line x1={feeX} x2={feeX} y1="12" y2="56" stroke="#3D405B" strokeWidth="3" strokeDasharray="4 3" />
+      <text x={Math.min(Math.max(feeX, 40), CHART_WIDTH - 40)} y="10" textAnchor="middle" fontSize="10" fontWeight="900" fill="#000">
+        {t('breakdown.fee', { amount: formatCurrency(totalCost) })}
+      </text>
+      <text x="0" y="66" fontSize="10" fill="#000">{formatCurrency(0)}</text>
+      <text x={CHART_WIDTH} y="66" textAnchor="end" fontSize="10" fontWeight="900" fill="#000">{formatCurrency(total)}</text>
+    </svg>
+  );
+};
+
+// Each line's min-to-max range as an error bar with its value as the dot.
+const RangeChart = ({ lines }) => {
+  const { t, formatCurrency, lineLabel } = useI18n();
+  const max = Math.max(...lines.map(line => line.max), 0) || 1;
+  const plotWidth = CHART_WIDTH - LABEL_WIDTH - 10;
+  const x = (amount) => LABEL_WIDTH + (Math.max(amount, 0) / max) * plotWidth;
+  const height = lines.length * ROW_HEIGHT + 16;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} className="w-full" role="img"
+         aria-label={t('breakdown.rangeChartLabel')} style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+      {lines.map((line, index) => {
+        const y = index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        return (
+          <g key={line.key}>
+            <title>{lineLabel(line.key) + ': ' + formatCurrency(line.min) + ' / ' + formatCurrency(line.value) + ' / ' + formatCurrency(line.max)}</title>
+            <text x={LABEL_WIDTH - 8} y={y + 3} textAnchor="end" fontSize="9" fontWeight="900" fill="#000">
+              {lineLabel(line.key)}
+            </text>
+            <line x1={x(line.min)} x2={x(line.max)} y1={y} y2={y} stroke="#3D405B" strokeWidth="2" />
+            <line x1={x(line.min)} x2={x(line.min)} y1={y - 5} y2={y + 5} stroke="#3D405B" strokeWidth="2" />
+            <line x1={x(line.max)} x2={x(line.max)} y1={y - 5} y2={y + 5} stroke="#3D405B" strokeWidth="2" />
+            <circle cx={x(line.value)} cy={y} r="5" fill={line.color} stroke="#3D405B" strokeWidth="1.5" />
+          </g>
+        );
+      })}
+      <text x={LABEL_WIDTH} y={height - 2} fontSize="10" fill="#000">{formatCurrency(0)}</text>
+      <text x={CHART_WIDTH - 10} y={height - 2} textAnchor="end" fontSize="10" fill="#000">{formatCurrency(max)}</text>
+    </svg>
+  );
+};
+
+const BreakdownCharts = ({ results }) => {
+  const { t } = useI18n();
+  const lines = Object.entries(results.breakdown).map(([key, line], index) => ({
+    key,
+    value: line.value,
+    min: line.min,
+    max: line.max,
+    color: breakdownColor(key, index)
+  }));
+  if (lines.length === 0) return null;
+
+  return (
+    <div className="text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+      <div className="text-xs font-black tracking-wider mb-2">{t('breakdown.valueChart')}</div>
+      <ValueBar lines={lines} totalCost={results.totalCost} />
+
+      <div className="text-xs font-black tracking-wider mt-4 mb-2">{t('breakdown.rangeChart')}</div>
+      <RangeChart lines={lines} />
+    </div>
+  );
+};
+
+export default BreakdownCharts;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+const CardComparison = ({ comparison, currentCardId }) => {
+  const { t, formatCurrency, formatPercent } = useI18n();
+  const formatROI = (roi) => (roi === null ? t('comparison.noFee') : formatPercent(roi));
+
+  return (
+  <div className="border-8 rounded-3xl" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+    <div className="p-4" style={{ backgroundColor: '#E9C46A', borderRadius: '16px 16px 0 0' }}>
+      <h3 className="text-2xl font-black text-black text-center tracking-wide"
+          style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        {t('comparison.title')}
+      </h3>
+    </div>
+
+    <div className="p-6 space-y-3">
+      {comparison.map(({ card, results, net, minNet, maxNet }, index) => {
+        const isCurrent = card.id === currentCardId;
+        return (
+          <div key={card.id} className="p-4 border-4 rounded-2xl"
+               style={{
+                 borderColor: index === 0 ? '#C8512F' : '#3D405B',
+                 backgroundColor: isCurrent ? '#3D405B' : '#F8F6F0'
+               }}>
+            <div className="flex justify-between items-start">
+              <div>
+                <div className={`font-black text-sm tracking-wide ${isCurrent ? 'text-white' : 'text-black'}`}
+                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                  {index + 1}. {card.name.toUpperCase()}
+                </div>
+                <div className={`text-xs mt-1 ${isCurrent ? 'text-white' : 'text-black'}`}
+                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                  {t('comparison.summary', {
+                    fee: formatCurrency(results.totalCost),
+                    value: formatCurrency(results.totalValue),
+                    roi: formatROI(results.roi)
+                  })}
+                </div>
+              </div>
+              <div className="text-right ml-4">
+                <div className="font-black text-lg"
+                     style={{
+                       color: net > 0 ? (isCurrent ? '#E9C46A' : '#3D405B') : '#E07A5F',
+                       fontFamily: STATIC_STYLES.fontFamily
+                     }}>
+                  {formatCurrency(net)}
+                </div>
+                <div className={`text-xs ${isCurrent ? 'text-white' : 'text-black'}`}
+                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                  {t('common.range', { min: formatCurrency(minNet), max: formatCurrency(maxNet) })}
+                </div>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+      <div className="text-xs text-black font-bold pt-2" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        {t('comparison.footnote')}
+      </div>
+    </div>
+  </div>
+  );
+};
+
+export default CardComparison;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const cellStyle = (status) => ({
+  backgroundColor: status === 'future' ? '#E9E5DA' : '#F8F6F0',
+  borderColor: status === 'current' ? '#C8512F' : '#3D405B',
+  fontFamily: STATIC_STYLES.fontFamily
+});
+
+const CreditTracker = ({ tracking, enabled, onToggle, onLogUsage }) => {
+  const { t, tc, formatCurrency, periodLabel } = useI18n();
+
+  if (!tracking || tracking.credits.length === 0) return null;
+
+  return (
+    <div className="border-8 rounded-3xl xl:col-span-2"
+         style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B', boxShadow: PANEL_SHADOW }}>
+      <div className="p-4 flex flex-wrap items-center justify-between gap-4"
+           style={{ backgroundColor: '#3D405B', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-white tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('tracker.title', { year: tracking.year })}
+        </h3>
+        <button type="button" onClick={() => onToggle(!enabled)}
+                className="px-4 py-2 font-black text-xs tracking-wider rounded-2xl border-4"
+                style={{
+                  backgroundColor: enabled ? '#E9C46A' : '#F8F6F0',
+                  borderColor: '#F8F6F0',
+                  fontFamily: STATIC_STYLES.fontFamily
+                }}>
+          {t(enabled ? 'tracker.usingActual' : 'tracker.usingAssumed')}
+        </button>
+      </div>
+
+      <div className="p-6 text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        {tracking.reminders.length > 0 && (
+          <div className="mb-6 p-4 rounded-2xl text-white" style={{ backgroundColor: '#C8512F' }}>
+            <div className="font-black text-sm tracking-wide mb-2">{t('tracker.expiringSoon')}</div>
+            {tracking.reminders.map(reminder => (
+              <div key={reminder.credit.key} className="text-sm font-bold">
+                • {t(reminder.daysLeft === 1 ? 'tracker.reminderOneDay' : 'tracker.reminder', {
+                  credit: tc(reminder.credit.label),
+                  period: periodLabel(reminder.period, reminder.credit.period),
+                  amount: formatCurrency(reminder.remaining),
+                  days: reminder.daysLeft
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-5">
+          {tracking.credits.map(({ credit, periods, assumed, actual, projected }) => (
+            <div key={credit.key}>
+              <div className="flex flex-wrap justify-between gap-2 mb-2">
+                <div className="font-black text-sm tracking-wide">
+                  {tc(credit.label)} • {formatCurrency(credit.amount)} {t('period.' + credit.period)}
+                </div>
+                <div className="text-xs font-bold">
+                  {t('tracker.totals', {
+                    assumed: formatCurrency(assumed),
+                    actual: formatCurrency(actual),
+                    projected: formatCurrency(projected)
+                  })}
+                </div>
+              </div>
+              <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${Math.max(periods.length, 2)}, minmax(0, 1fr))` }}>
+                {periods.map(period => (
+                  <label key={period.index} className="block text-center">
+                    <span className="block text-xs font-black">{periodLabel(period, credit.period)}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={credit.amount}
+                      value={period.used || ''}
+                      placeholder={period.status === 'past' ? '0' : period.expected.toFixed(0)}
+                      disabled={period.status === 'future'}
+                      onChange={(e) => onLogUsage(credit.key, period.index, e.target.value)}
+                      className="w-full p-1 text-xs font-black text-center border-2 rounded-lg focus:outline-none disabled:opacity-60"
+                      style={cellStyle(period.status)}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-6 text-xs font-bold">
+          {t('tracker.footnote')}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CreditTracker;
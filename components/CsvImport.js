@@ -0,0 +1,117 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { DEFAULT_CARD } from '../lib/cards';
+import { annualizeTransactions, parseTransactions } from '../lib/transactions';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const CATEGORY_LABELS = Object.fromEntries(
+  DEFAULT_CARD.earn.map(category => [category.key, category.label])
+);
+
+const CsvImport = ({ onApply }) => {
+  const { t, tc, formatCurrency } = useI18n();
+  const [transactions, setTransactions] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState(null);
+
+  const summary = useMemo(() => annualizeTransactions(transactions), [transactions]);
+
+  const handleFile = useCallback((event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setTransactions(parseTransactions(String(reader.result)));
+        setFileName(file.name);
+        setError(null);
+      } catch (parseError) {
+        console.error('CSV import error:', parseError);
+        setTransactions([]);
+        setError(parseError.message);
+      }
+    };
+    reader.readAsText(file);
+  }, []);
+
+  const handleReassign = useCallback((id, assigned) => {
+    setTransactions(prev => prev.map(row => (row.id === id ? { ...row, assigned } : row)));
+  }, []);
+
+  return (
+    <div className="relative"
+         style={{
+           background: 'linear-gradient(135deg, #E9C46A 0%, #D4A574 50%, #E9C46A 100%)',
+           borderRadius: STATIC_STYLES.borderRadius32,
+           boxShadow: PANEL_SHADOW
+         }}>
+      <div className="p-8">
+        <h3 className="text-2xl font-black text-black mb-2 tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('csvImport.title')}
+        </h3>
+        <div className="text-xs font-bold text-black mb-6" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('csvImport.subtitle')}
+        </div>
+
+        <input type="file" accept=".csv,text/csv" onChange={handleFile}
+               className="block w-full text-sm font-bold text-black"
+               style={{ fontFamily: STATIC_STYLES.fontFamily }} />
+
+        {error && (
+          <div className="mt-4 p-3 rounded-2xl text-white font-bold text-sm"
+               style={{ backgroundColor: '#C8512F', fontFamily: STATIC_STYLES.fontFamily }}>
+            {error}
+          </div>
+        )}
+
+        {transactions.length > 0 && (
+          <>
+            <div className="mt-6 max-h-72 overflow-y-auto rounded-2xl" style={{ backgroundColor: '#F8F6F0' }}>
+              <table className="w-full text-xs text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                <tbody>
+                  {transactions.map(row => (
+                    <tr key={row.id} className="border-b" style={{ borderColor: '#E9C46A' }}>
+                      <td className="p-2 font-bold">{row.description}</td>
+                      <td className="p-2 text-right font-black">{formatCurrency(row.spend, 2)}</td>
+                      <td className="p-2">
+                        <select value={row.assigned}
+                                onChange={(e) => handleReassign(row.id, e.target.value)}
+                                className="font-bold bg-transparent">
+                          {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+                            <option key={key} value={key}>{tc(label)}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-6 text-white p-6 rounded-3xl" style={{ backgroundColor: '#3D405B' }}>
+              <div className="text-sm font-bold tracking-wide mb-3" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                {fileName.toUpperCase()} • {t('csvImport.summary', { count: transactions.length, days: summary.days })}
+              </div>
+              {Object.entries(summary.annualized).map(([key, amount]) => (
+                <div key={key} className="flex justify-between font-black text-sm"
+                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                  <span>{tc(CATEGORY_LABELS[key])}</span>
+                  <span>{formatCurrency(amount)}</span>
+                </div>
+              ))}
+              <button type="button" onClick={() => onApply(summary.annualized)}
+                      className="mt-4 w-full p-3 font-black text-sm tracking-wider rounded-2xl text-black"
+                      style={{ backgroundColor: '#E9C46A', fontFamily: STATIC_STYLES.fontFamily }}>
+                {t('csvImport.apply')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CsvImport;
@@ -0,0 +1,103 @@
+import React, { useState, useCallback } from 'react';
+import {
+  breakdownToCSV,
+  buildExportDocument,
+  buildReportHTML,
+  parseExportDocument
+} from '../lib/report';
+import { useI18n } from './I18nContext';
+import { download } from './download';
+import { STATIC_STYLES } from './styles';
+
+const buttonClass = 'flex-1 p-3 font-black text-sm tracking-wider rounded-2xl border-4 transition-all duration-300 hover:scale-105';
+const buttonStyle = {
+  backgroundColor: '#F8F6F0',
+  borderColor: '#3D405B',
+  color: '#000000',
+  fontFamily: STATIC_STYLES.fontFamily
+};
+
+const ExportMenu = ({ inputs, results, card, onImport }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [error, setError] = useState(null);
+
+  const handlePrint = useCallback(() => {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+      setError(t('export.allowPopups'));
+      return;
+    }
+    reportWindow.document.write(buildReportHTML(inputs, results, card, i18n));
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+  }, [inputs, results, card, i18n, t]);
+
+  const handleCSV = useCallback(() => {
+    download('valoretti-breakdown.csv', breakdownToCSV(results), 'text/csv');
+  }, [results]);
+
+  const handleJSON = useCallback(() => {
+    const exported = buildExportDocument(inputs, results, card);
+    download('valoretti-roi.json', JSON.stringify(exported, null, 2), 'application/json');
+  }, [inputs, results, card]);
+
+  const handleImport = useCallback((event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onImport(parseExportDocument(String(reader.result), card));
+        setError(null);
+      } catch (importError) {
+        console.error('JSON import error:', importError);
+        setError(importError.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }, [onImport, card]);
+
+  return (
+    <div className="border-8 rounded-3xl" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+      <div className="p-4" style={{ backgroundColor: '#3D405B', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-white text-center tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('export.title')}
+        </h3>
+      </div>
+
+      <div className="p-6 space-y-3">
+        <div className="flex gap-3">
+          <button type="button" onClick={handlePrint} className={buttonClass} style={buttonStyle}>
+            PDF
+          </button>
+          <button type="button" onClick={handleCSV} className={buttonClass} style={buttonStyle}>
+            CSV
+          </button>
+          <button type="button" onClick={handleJSON} className={buttonClass} style={buttonStyle}>
+            JSON
+          </button>
+        </div>
+
+        <label className="block text-xs font-bold text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('export.importJSON')}
+          <input type="file" accept=".json,application/json" onChange={handleImport}
+                 className="block w-full mt-2 text-sm font-bold" />
+        </label>
+
+        {error && (
+          <div className="p-3 rounded-2xl text-white font-bold text-sm"
+               style={{ backgroundColor: '#C8512F', fontFamily: STATIC_STYLES.fontFamily }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExportMenu;
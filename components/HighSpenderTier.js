@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { getPanelInputs } from '../lib/cards';
+import { getHighSpenderProgress, highSpenderWhatIf } from '../lib/highSpender';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const HighSpenderTier = ({ inputs, card, onInputChange }) => {
+  const { t, tc, formatCurrency, formatPercent } = useI18n();
+  const [whatIfCategory, setWhatIfCategory] = useState('otherSpending');
+
+  const progress = useMemo(() => getHighSpenderProgress(inputs, card), [inputs, card]);
+  const whatIf = useMemo(
+    () => highSpenderWhatIf(inputs, card, whatIfCategory),
+    [inputs, card, whatIfCategory]
+  );
+
+  if (!progress) return null;
+
+  const qualifyingCategories = card.earn.filter(category =>
+    (card.highSpender.qualifyingSpend || [category.key]).includes(category.key));
+
+  return (
+    <div className="relative"
+         style={{
+           background: 'linear-gradient(135deg, #C8512F 0%, #B8472A 50%, #C8512F 100%)',
+           borderRadius: STATIC_STYLES.borderRadius32,
+           boxShadow: PANEL_SHADOW
+         }}>
+      <div className="p-8 text-white" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <h3 className="text-2xl font-black mb-6 tracking-wide">
+          {t('highSpender.title')}
+        </h3>
+
+        {/* Progress meter */}
+        <div className="mb-2 flex justify-between text-sm font-black tracking-wide">
+          <span>{t('highSpender.qualifying', { amount: formatCurrency(progress.qualifying) })}</span>
+          <span>{formatCurrency(progress.threshold)}</span>
+        </div>
+        <div className="h-6 rounded-full overflow-hidden border-4 border-white" style={{ backgroundColor: '#F8F6F0' }}
+             role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(progress.progress * 100)}>
+          <div className="h-full" style={{ width: progress.progress * 100 + '%', backgroundColor: '#E9C46A' }}></div>
+        </div>
+        <div className="mt-2 text-xs font-bold">
+          {t('highSpender.counts', {
+            categories: qualifyingCategories.map(category => tc(category.label)).join(', '),
+            window: card.highSpender.window ? tc(card.highSpender.window) : t('highSpender.year')
+          })}
+        </div>
+
+        {/* What-if */}
+        <div className="mt-6 p-4 rounded-2xl" style={{ backgroundColor: '#3D405B' }}>
+          {progress.qualifies ? (
+            <div className="font-black text-sm tracking-wider">✓ {t('highSpender.qualified')}</div>
+          ) : (
+            <>
+              <div className="font-black text-sm tracking-wide">
+                {t('highSpender.remaining', { amount: formatCurrency(progress.remaining) })}
+              </div>
+              <label className="block text-xs font-bold mt-3">
+                {t('highSpender.ifItWentOn')}
+                <select value={whatIf.category} onChange={(e) => setWhatIfCategory(e.target.value)}
+                        className="ml-2 p-1 font-black text-black rounded-lg"
+                        style={{ backgroundColor: '#F8F6F0' }}>
+                  {qualifyingCategories.map(category => (
+                    <option key={category.key} value={category.key}>{tc(category.label)}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="text-xs font-bold mt-3">
+                {t('highSpender.whatIf', {
+                  delta: formatCurrency(whatIf.netDelta),
+                  perks: formatCurrency(whatIf.perkValue),
+                  from: formatPercent(whatIf.current.roi),
+                  to: formatPercent(whatIf.qualified.roi)
+                })}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Perk usage */}
+        <div className="mt-6 space-y-4">
+          {getPanelInputs(card, 'highSpender', 'number').map(item => (
+            <div key={item.key}>
+              <label className="block text-sm font-black mb-2 tracking-wide">
+                {tc(item.label)}
+              </label>
+              <input
+                type="text"
+                value={inputs[item.key]}
+                onChange={(e) => {
+                  const value = Number(e.target.value) || 0;
+                  onInputChange(item.key, item.max ? Math.min(item.max, value) : value);
+                }}
+                className="w-full p-3 text-xl font-black text-black border-4 focus:outline-none"
+                style={{
+                  backgroundColor: '#F8F6F0',
+                  borderColor: '#F8F6F0',
+                  borderRadius: STATIC_STYLES.borderRadius24
+                }}
+                placeholder={String(item.default)}
+              />
+              {item.max && <div className="text-xs mt-1 font-bold">{t('common.max', { max: item.symbol === '$' ? formatCurrency(item.max) : item.max })}</div>}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HighSpenderTier;
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+import { createI18n } from '../lib/i18n';
+
+// Current locale's translator and formatters, provided by the calculator.
+export const I18nContext = createContext(createI18n());
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,112 @@
+import React, { useState, useMemo } from 'react';
+import { MAX_PROJECTION_YEARS, defaultProjectionOptions, projectYears } from '../lib/projection';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+const smallInputStyle = {
+  backgroundColor: '#F8F6F0',
+  borderColor: '#3D405B',
+  fontFamily: STATIC_STYLES.fontFamily
+};
+
+const MultiYearProjection = ({ inputs, card }) => {
+  const { t, formatCurrency: formatMoney } = useI18n();
+  const [options, setOptions] = useState(() => defaultProjectionOptions(card));
+
+  const projection = useMemo(() => projectYears(inputs, card, options), [inputs, card, options]);
+
+  const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  const setFee = (index, value) => setOptions(prev => {
+    const fees = [...prev.fees];
+    fees[index] = parseInt(value) || 0;
+    return { ...prev, fees };
+  });
+
+  return (
+    <div className="border-8 rounded-3xl" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+      <div className="p-4" style={{ backgroundColor: '#E9C46A', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-black text-center tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('projection.title')}
+        </h3>
+      </div>
+
+      <div className="p-6 space-y-4 text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-sm font-black tracking-wide">{t('projection.years')}</span>
+          {Array.from({ length: MAX_PROJECTION_YEARS }, (_, i) => i + 1).map(years => (
+            <button key={years} type="button" onClick={() => setOption('years', years)}
+                    className="w-10 h-10 rounded-full font-black border-4"
+                    style={{
+                      borderColor: '#3D405B',
+                      backgroundColor: options.years === years ? '#3D405B' : '#F8F6F0',
+                      color: options.years === years ? '#FFFFFF' : '#000000'
+                    }}>
+              {years}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="text-sm font-black tracking-wide">
+            {t('projection.spendGrowth')}
+            <input type="text" value={options.spendGrowth}
+                   onChange={(e) => setOption('spendGrowth', Number(e.target.value) || 0)}
+                   className="block w-full mt-2 p-2 font-black border-4 rounded-2xl focus:outline-none"
+                   style={smallInputStyle} />
+          </label>
+          <label className="text-sm font-black tracking-wide">
+            {t('projection.lumpSumYear')}
+            <input type="text" value={options.lumpSumYear}
+                   onChange={(e) => setOption('lumpSumYear', parseInt(e.target.value) || 1)}
+                   className="block w-full mt-2 p-2 font-black border-4 rounded-2xl focus:outline-none"
+                   style={smallInputStyle} />
+          </label>
+        </div>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b-4" style={{ borderColor: '#3D405B' }}>
+              <th className="text-left py-2 font-black">{t('projection.year')}</th>
+              <th className="text-right py-2 font-black">{t('projection.fee')}</th>
+              <th className="text-right py-2 font-black">{t('projection.value')}</th>
+              <th className="text-right py-2 font-black">{t('projection.net')}</th>
+              <th className="text-right py-2 font-black">{t('projection.cumulative')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {projection.rows.map(row => (
+              <tr key={row.year} className="border-b-2" style={{ borderColor: '#E9C46A' }}>
+                <td className="py-2 font-black">{row.year}</td>
+                <td className="py-2 text-right">
+                  <input type="text" value={options.fees[row.year - 1]}
+                         onChange={(e) => setFee(row.year - 1, e.target.value)}
+                         className="w-20 p-1 text-right font-bold border-2 rounded-lg focus:outline-none"
+                         style={smallInputStyle} />
+                </td>
+                <td className="py-2 text-right font-bold">{formatMoney(row.results.totalValue)}</td>
+                <td className="py-2 text-right font-black" style={{ color: row.net >= 0 ? '#3D405B' : '#C8512F' }}>
+                  {formatMoney(row.net)}
+                </td>
+                <td className="py-2 text-right font-black" style={{ color: row.cumulativeNet >= 0 ? '#3D405B' : '#C8512F' }}>
+                  {formatMoney(row.cumulativeNet)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="p-4 rounded-2xl text-white font-black text-sm tracking-wide"
+             style={{ backgroundColor: projection.breakEvenYear ? '#3D405B' : '#C8512F' }}>
+          {projection.breakEvenYear
+            ? t('projection.breakEven', { year: projection.breakEvenYear })
+            : t('projection.noBreakEven', { years: projection.rows.length })}
+          {' • '}{t('projection.cumulativeNet', { amount: formatMoney(projection.cumulativeNet) })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MultiYearProjection;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+const ProductChangeAnalysis = ({ paths, pointsBalance, onPointsBalanceChange }) => {
+  const { t, formatCurrency: formatMoney } = useI18n();
+
+  return (
+  <div className="border-8 rounded-3xl" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+    <div className="p-4" style={{ backgroundColor: '#E07A5F', borderRadius: '16px 16px 0 0' }}>
+      <h3 className="text-2xl font-black text-white text-center tracking-wide"
+          style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        {t('productChange.title')}
+      </h3>
+    </div>
+
+    <div className="p-6 space-y-3">
+      <label className="block text-sm font-black text-black tracking-wide"
+             style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        {t('productChange.pointsBalance')}
+      </label>
+      <input
+        type="text"
+        value={pointsBalance}
+        onChange={(e) => onPointsBalanceChange(parseInt(e.target.value) || 0)}
+        className="w-full p-3 text-xl font-black text-black border-4 focus:outline-none"
+        style={{
+          backgroundColor: '#F8F6F0',
+          borderColor: '#3D405B',
+          fontFamily: STATIC_STYLES.fontFamily,
+          borderRadius: STATIC_STYLES.borderRadius24
+        }}
+        placeholder="0"
+      />
+
+      {paths.map((path, index) => (
+        <div key={path.type + (path.card?.id || '')} className="p-4 border-4 rounded-2xl"
+             style={{
+               borderColor: '#3D405B',
+               backgroundColor: index === 0 ? '#E9C46A' : '#F8F6F0'
+             }}>
+          <div className="flex justify-between items-start">
+            <div>
+              <div className="font-black text-sm tracking-wide text-black"
+                   style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                {t('productChange.path.' + path.type, { card: path.card?.name.toUpperCase() })}
+              </div>
+              <div className="text-xs mt-1 text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                {path.type === 'cancel'
+                  ? t('productChange.forfeited', { amount: formatMoney(path.oneTime) })
+                  : t('productChange.annualNet', { amount: formatMoney(path.annualNet) }) +
+                    (path.oneTime ? ' • ' + t('productChange.revalued', { amount: formatMoney(path.oneTime) }) : '')}
+              </div>
+            </div>
+            <div className="text-right ml-4">
+              <div className="font-black text-lg text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                {formatMoney(path.firstYearNet)}
+              </div>
+              <div className="text-xs text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                {t('productChange.firstYear')}
+              </div>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+  );
+};
+
+export default ProductChangeAnalysis;
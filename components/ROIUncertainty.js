@@ -0,0 +1,65 @@
+import React from 'react';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+// Percentile bands on a shared net-value axis, with the break-even line
+const ROIUncertainty = ({ simulation }) => {
+  const { t, formatCurrency: formatMoney, formatPercent, formatNumber } = useI18n();
+  const { percentiles } = simulation;
+  const low = Math.min(percentiles.p5.net, 0);
+  const high = Math.max(percentiles.p95.net, 0);
+  const span = high - low || 1;
+  const position = (net) => ((net - low) / span) * 100 + '%';
+  const width = (from, to) => ((to - from) / span) * 100 + '%';
+
+  return (
+    <div className="border-8 rounded-3xl" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+      <div className="p-4" style={{ backgroundColor: '#E9C46A', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-black text-center tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('uncertainty.title')}
+        </h3>
+      </div>
+
+      <div className="p-6 text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <div className="text-center mb-6">
+          <div className="text-5xl font-black">{formatPercent(simulation.probPositive * 100, true)}</div>
+          <div className="text-sm font-black tracking-wider">{t('uncertainty.chance')}</div>
+        </div>
+
+        <div className="relative h-12 rounded-2xl mb-2" style={{ backgroundColor: '#F8F6F0', border: '4px solid #3D405B' }}>
+          <div className="absolute top-0 bottom-0"
+               style={{ left: position(percentiles.p5.net), width: width(percentiles.p5.net, percentiles.p95.net), backgroundColor: '#E9C46A' }} />
+          <div className="absolute top-0 bottom-0"
+               style={{ left: position(percentiles.p25.net), width: width(percentiles.p25.net, percentiles.p75.net), backgroundColor: '#E07A5F' }} />
+          <div className="absolute top-0 bottom-0 w-1"
+               style={{ left: position(percentiles.p50.net), backgroundColor: '#3D405B' }} />
+          <div className="absolute -top-2 -bottom-2 w-1"
+               style={{ left: position(0), backgroundColor: '#C8512F' }} />
+        </div>
+        <div className="flex justify-between text-xs font-bold mb-6">
+          <span>{formatMoney(low)}</span>
+          <span style={{ color: '#C8512F' }}>{t('uncertainty.breakEven')}</span>
+          <span>{formatMoney(high)}</span>
+        </div>
+
+        <table className="w-full text-sm">
+          <tbody>
+            {['p5', 'p25', 'p50', 'p75', 'p95'].map(key => (
+              <tr key={key} className="border-b-2" style={{ borderColor: '#E9C46A' }}>
+                <td className="py-1 font-black">{t('uncertainty.' + key)}</td>
+                <td className="py-1 text-right font-bold">{formatMoney(percentiles[key].net)}</td>
+                <td className="py-1 text-right font-black">{percentiles[key].roi === null ? '—' : formatPercent(percentiles[key].roi)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-xs font-bold mt-4">
+          {t('uncertainty.footnote', { iterations: formatNumber(simulation.iterations) })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ROIUncertainty;
@@ -1,333 +1,257 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { CARDS, DEFAULT_CARD, getAuthorizedUserCount, getPanelInputs } from '../lib/cards';
+import {
+  DEFAULT_INPUTS,
+  SPENDING_KEYS,
+  computeROI,
+  emptyResults,
+  getRecommendation,
+  getTotalAnnualSpending,
+  qualifiesForHighSpender as checkHighSpender
+} from '../lib/roi';
+import { compareCards, findBestAlternative } from '../lib/comparison';
+import { analyzeProductChanges } from '../lib/productChange';
+import { buildShareUrl, decodeInputs } from '../lib/share';
+import { simulateROI } from '../lib/simulation';
+import {
+  DEFAULT_VALUATION,
+  applyValuation,
+  loadValuation,
+  saveValuation
+} from '../lib/valuation';
+import { DEFAULT_BASELINE, applyBaseline, loadBaseline, saveBaseline } from '../lib/baseline';
+import { LOCALES, createI18n, loadLocale, saveLocale } from '../lib/i18n';
+import {
+  applyTrackedCredits,
+  emptyCreditLog,
+  loadCreditLog,
+  saveCreditLog,
+  setLoggedUsage,
+  trackCredits
+} from '../lib/creditTracker';
+import AuthorizedUsers from './AuthorizedUsers';
+import BatchEvaluation from './BatchEvaluation';
+import BaselineSettings from './BaselineSettings';
+import BreakdownCharts from './BreakdownCharts';
+import CardComparison from './CardComparison';
+import CreditTracker from './CreditTracker';
+import HighSpenderTier from './HighSpenderTier';
+import { I18nContext } from './I18nContext';
+import CsvImport from './CsvImport';
+import ExportMenu from './ExportMenu';
+import MultiYearProjection from './MultiYearProjection';
+import ROIUncertainty from './ROIUncertainty';
+import ProductChangeAnalysis from './ProductChangeAnalysis';
+import ScenarioComparison from './ScenarioComparison';
+import ScenarioManager from './ScenarioManager';
+import SensitivityAnalysis from './SensitivityAnalysis';
+import ShareLink from './ShareLink';
+import SpendCurve from './SpendCurve';
+import SubscriptionValue from './SubscriptionValue';
+import ValuationSettings from './ValuationSettings';
+import { STATIC_STYLES, breakdownColor } from './styles';
+
+const CARD = DEFAULT_CARD;
+
+// `embedded` renders the compact /embed widget: inputs and results only, no
+// header, scenarios, analysis or Ko-fi blocks. The widget props feed it from
+// the host page: `initialInputs` and `initialLocale` on mount, `inputsUpdate`
+// merged in whenever it changes, `onResultChange` after every calculation.
+const SapphireReserveROICalculator = ({
+  embedded = false,
+  background = '#F8F6F0',
+  initialInputs,
+  initialLocale,
+  inputsUpdate,
+  onResultChange
+}) => {
+  const [inputs, setInputs] = useState(() => ({ ...DEFAULT_INPUTS, ...initialInputs }));
+
+  const [results, setResults] = useState(() => ({
+    ...emptyResults(CARD),
+    roi: 0,
+    minROI: 0,
+    maxROI: 0
+  }));
 
-// PERFORMANCE OPTIMIZATION: Static constants outside component
-const STATIC_STYLES = {
-  fontFamily: 'Futura, "Trebuchet MS", Arial, sans-serif',
-  borderRadius32: '32px',
-  borderRadius24: '24px'
-};
-
-const POINT_VALUES = {
-  min: 0.015,
-  max: 0.020,
-  avg: 0.0175
-};
-
-const MULTIPLIERS = {
-  chaseTravel: 8,
-  flightsHotels: 4,
-  dining: 3,
-  otherSpending: 1
-};
+  // Language: stored choice, else the browser's, applied after mount so the
+  // static render is always English.
+  const [locale, setLocale] = useState('en');
+  const [localeLoaded, setLocaleLoaded] = useState(false);
 
-// REACT COMPATIBILITY: Validation helper functions
-const validateInputs = (inputs) => {
-  if (!inputs || typeof inputs !== 'object') {
-    throw new Error('Invalid inputs: must be an object');
-  }
-  
-  const safe = {};
-  Object.keys(inputs).forEach(key => {
-    const value = inputs[key];
-    if (typeof value === 'number') {
-      safe[key] = isNaN(value) || !isFinite(value) ? 0 : value;
-    } else if (typeof value === 'boolean') {
-      safe[key] = value;
-    } else {
-      safe[key] = 0;
-    }
-  });
-  
-  return safe;
-};
+  useEffect(() => {
+    setLocale(initialLocale || loadLocale(window.localStorage, window.navigator.language));
+    setLocaleLoaded(true);
+  }, [initialLocale]);
 
-const isValidResults = (results) => {
-  if (!results || typeof results !== 'object') return false;
-  
-  const requiredKeys = ['totalValue', 'totalCost', 'roi', 'minROI', 'maxROI', 'breakdown'];
-  return requiredKeys.every(key => key in results);
-};
+  useEffect(() => {
+    if (!localeLoaded) return;
+    // A widget's locale comes from the host page, not the visitor's choice
+    if (!embedded) saveLocale(window.localStorage, locale);
+    document.documentElement.lang = locale;
+  }, [locale, localeLoaded, embedded]);
 
-const SapphireReserveROICalculator = () => {
-  const [inputs, setInputs] = useState({
-    chaseTravel: 0,
-    flightsHotels: 0,
-    dining: 0,
-    otherSpending: 0,
-    travelCreditUsage: 300,
-    editStaysValue: 0,
-    stubhubSpending: 0,
-    diningCredit: 300,
-    dashpassUsage: 12,
-    restaurantOrders: false,
-    nonRestaurantOrders: false,
-    lyftRides: 0,
-    pelotonMembership: false,
-    pelotonEquipment: 0,
-    appleServices: false,
-    priorityPassVisits: 0,
-    globalEntryValue: false,
-    useShopsCredit: false,
-    useSouthwestCredit: false,
-    useIHGDiamond: false,
-    useSouthwestAList: false
-  });
-
-  const [results, setResults] = useState({
-    totalValue: 0,
-    totalCost: 795,
-    roi: 0,
-    minROI: 0,
-    maxROI: 0,
-    breakdown: {}
-  });
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t, tc, formatCurrency, formatPercent } = i18n;
 
   // PERFORMANCE + REACT COMPATIBILITY: Memoized calculations
-  const totalAnnualSpending = useMemo(() => {
-    try {
-      const total = inputs.chaseTravel + inputs.flightsHotels + inputs.dining + inputs.otherSpending;
-      return isNaN(total) ? 0 : total;
-    } catch (error) {
-      console.error('Error calculating total spending:', error);
-      return 0;
-    }
-  }, [inputs.chaseTravel, inputs.flightsHotels, inputs.dining, inputs.otherSpending]);
+  const totalAnnualSpending = useMemo(
+    () => getTotalAnnualSpending(inputs),
+    [inputs]
+  );
 
-  const qualifiesForHighSpender = useMemo(() => 
-    totalAnnualSpending >= 75000,
-    [totalAnnualSpending]
+  const qualifiesForHighSpender = useMemo(
+    () => checkHighSpender(inputs, CARD),
+    [inputs]
   );
 
-  // CRITICAL FIX + PERFORMANCE + REACT COMPATIBILITY: Pure, stable calculateROI
-  const calculateROI = useCallback(() => {
-    try {
-      const safeInputs = validateInputs(inputs);
-      
-      let totalValue = 0;
-      let minValue = 0;
-      let maxValue = 0;
-      let breakdown = {};
-
-      const totalPoints = (safeInputs.chaseTravel * MULTIPLIERS.chaseTravel) + 
-                         (safeInputs.flightsHotels * MULTIPLIERS.flightsHotels) + 
-                         (safeInputs.dining * MULTIPLIERS.dining) + 
-                         (safeInputs.otherSpending * MULTIPLIERS.otherSpending);
-      
-      if (isNaN(totalPoints) || !isFinite(totalPoints)) {
-        throw new Error('Invalid points calculation');
-      }
+  // Point valuation: user preset applied to the card before every calculation.
+  // A widget has no valuation controls and prices with the card's defaults,
+  // so its numbers match what the host page sends and sees.
+  const [valuation, setValuation] = useState(DEFAULT_VALUATION);
+  const [valuationLoaded, setValuationLoaded] = useState(false);
 
-      const pointsValue = totalPoints * POINT_VALUES.avg;
-
-      breakdown.points = {
-        value: pointsValue,
-        min: totalPoints * POINT_VALUES.min,
-        max: totalPoints * POINT_VALUES.max,
-        details: totalPoints.toLocaleString() + ' points earned'
-      };
-
-      const travelCredit = Math.min(Math.max(safeInputs.travelCreditUsage || 0, 0), 300);
-      breakdown.travelCredit = {
-        value: travelCredit,
-        min: travelCredit,
-        max: travelCredit,
-        details: '$' + travelCredit + ' travel credit used'
-      };
-
-      const diningCreditValue = Math.min(Math.max(safeInputs.diningCredit || 0, 0), 300);
-      breakdown.diningCredit = {
-        value: diningCreditValue,
-        min: diningCreditValue,
-        max: diningCreditValue,
-        details: '$' + diningCreditValue + ' annual dining credit'
-      };
-
-      const editCredit = Math.min(Math.max(safeInputs.editStaysValue || 0, 0), 500);
-      if (editCredit > 0) {
-        breakdown.editCredit = {
-          value: editCredit,
-          min: editCredit,
-          max: editCredit,
-          details: '$' + editCredit + ' Edit stays credit'
-        };
-      }
+  useEffect(() => {
+    if (embedded) return;
+    setValuation(loadValuation(window.localStorage));
+    setValuationLoaded(true);
+  }, [embedded]);
 
-      const stubhubCredit = Math.min(Math.max(safeInputs.stubhubSpending || 0, 0), 300);
-      if (stubhubCredit > 0) {
-        breakdown.stubhubCredit = {
-          value: stubhubCredit,
-          min: stubhubCredit,
-          max: stubhubCredit,
-          details: '$' + stubhubCredit + ' StubHub credit'
-        };
-      }
+  useEffect(() => {
+    if (valuationLoaded) saveValuation(window.localStorage, valuation);
+  }, [valuation, valuationLoaded]);
 
-      const dashpassValue = (safeInputs.dashpassUsage || 0) * 9.99;
-      if (dashpassValue > 0) {
-        breakdown.dashpass = {
-          value: dashpassValue,
-          min: dashpassValue * 0.5,
-          max: dashpassValue,
-          details: (safeInputs.dashpassUsage || 0) + ' months of DashPass'
-        };
-      }
+  // Baseline card: the points line only counts value earned over it. The
+  // same baseline is applied to every card the calculator prices. A widget
+  // keeps the default, like the valuation.
+  const [baseline, setBaseline] = useState(DEFAULT_BASELINE);
+  const [baselineLoaded, setBaselineLoaded] = useState(false);
 
-      const restaurantCredits = (safeInputs.restaurantOrders ? 1 : 0) * 5 * 12;
-      const nonRestaurantCredits = (safeInputs.nonRestaurantOrders ? 2 : 0) * 10 * 12;
-      const totalDoorDashCredits = restaurantCredits + nonRestaurantCredits;
-      if (totalDoorDashCredits > 0) {
-        breakdown.doorDashCredits = {
-          value: totalDoorDashCredits,
-          min: totalDoorDashCredits * 0.7,
-          max: totalDoorDashCredits,
-          details: 'DoorDash credits: $' + totalDoorDashCredits + '/year'
-        };
-      }
+  useEffect(() => {
+    if (embedded) return;
+    setBaseline(loadBaseline(window.localStorage));
+    setBaselineLoaded(true);
+  }, [embedded]);
 
-      const lyftCredits = Math.min((safeInputs.lyftRides || 0) * 10, 120);
-      const lyftBonusPoints = (safeInputs.lyftRides || 0) * 20 * 4;
-      const lyftTotal = lyftCredits + (lyftBonusPoints * POINT_VALUES.avg);
-      if (lyftTotal > 0) {
-        breakdown.lyft = {
-          value: lyftTotal,
-          min: lyftCredits + (lyftBonusPoints * POINT_VALUES.min),
-          max: lyftCredits + (lyftBonusPoints * POINT_VALUES.max),
-          details: 'Lyft credits and bonus points'
-        };
-      }
+  useEffect(() => {
+    if (baselineLoaded) saveBaseline(window.localStorage, baseline);
+  }, [baseline, baselineLoaded]);
+
+  // Every card the calculator prices gets the same baseline, and the
+  // Reserve's point valuation when it earns the same points.
+  const prepareCard = useCallback(
+    (card) => applyBaseline(applyValuation(card, valuation, CARD.pointsProgram), baseline),
+    [valuation, baseline]
+  );
 
-      let pelotonValue = 0;
-      if (safeInputs.pelotonMembership) {
-        pelotonValue += 120;
-      }
-      if (safeInputs.pelotonEquipment > 0) {
-        const bonusPoints = Math.min(safeInputs.pelotonEquipment, 5000) * 9;
-        pelotonValue += bonusPoints * POINT_VALUES.avg;
-      }
-      if (pelotonValue > 0) {
-        breakdown.peloton = {
-          value: pelotonValue,
-          min: pelotonValue * 0.8,
-          max: pelotonValue * 1.2,
-          details: 'Peloton benefits'
-        };
-      }
+  const valuedCard = useMemo(() => prepareCard(CARD), [prepareCard]);
 
-      const priorityPassValue = (safeInputs.priorityPassVisits || 0) * 35;
-      if (priorityPassValue > 0) {
-        breakdown.priorityPass = {
-          value: priorityPassValue,
-          min: priorityPassValue * 0.5,
-          max: priorityPassValue * 1.5,
-          details: (safeInputs.priorityPassVisits || 0) + ' lounge visits'
-        };
-      }
+  // Credit tracker: logged usage replaces the assumed credit inputs when enabled.
+  // The date is only read on the client so the static render stays stable.
+  // A widget never tracks: without a date, tracking stays off.
+  const [creditLog, setCreditLog] = useState(emptyCreditLog);
+  const [today, setToday] = useState(null);
 
-      const globalEntryValue = safeInputs.globalEntryValue ? 24 : 0;
-      if (globalEntryValue > 0) {
-        breakdown.globalEntry = {
-          value: globalEntryValue,
-          min: globalEntryValue,
-          max: globalEntryValue,
-          details: 'Global Entry credit ($120 every 5 years)'
-        };
-      }
+  useEffect(() => {
+    if (embedded) return;
+    setCreditLog(loadCreditLog(window.localStorage));
+    setToday(new Date());
+  }, [embedded]);
 
-      const appleServicesValue = safeInputs.appleServices ? (6.99 + 10.99) * 12 : 0;
-      if (appleServicesValue > 0) {
-        breakdown.appleServices = {
-          value: appleServicesValue,
-          min: appleServicesValue * 0.3,
-          max: appleServicesValue,
-          details: 'Apple TV+ and Apple Music'
-        };
-      }
+  useEffect(() => {
+    if (today) saveCreditLog(window.localStorage, creditLog);
+  }, [creditLog, today]);
 
-      let highSpenderValue = 0;
-      if (qualifiesForHighSpender) {
-        if (safeInputs.useShopsCredit) highSpenderValue += 250;
-        if (safeInputs.useSouthwestCredit) highSpenderValue += 500;
-        if (safeInputs.useIHGDiamond) highSpenderValue += 200;
-        if (safeInputs.useSouthwestAList) highSpenderValue += 150;
-      }
-      
-      if (highSpenderValue > 0) {
-        breakdown.highSpender = {
-          value: highSpenderValue,
-          min: highSpenderValue * 0.8,
-          max: highSpenderValue * 1.2,
-          details: 'High spender benefits: $' + highSpenderValue + ' selected'
-        };
-      }
+  const tracking = useMemo(
+    () => (today ? trackCredits(creditLog, inputs, valuedCard, today) : null),
+    [creditLog, inputs, valuedCard, today]
+  );
 
-      const benefitValues = Object.values(breakdown);
-      totalValue = benefitValues.reduce((sum, benefit) => {
-        const value = benefit?.value || 0;
-        return sum + (isNaN(value) ? 0 : value);
-      }, 0);
-      
-      minValue = benefitValues.reduce((sum, benefit) => {
-        const value = benefit?.min || 0;
-        return sum + (isNaN(value) ? 0 : value);
-      }, 0);
-      
-      maxValue = benefitValues.reduce((sum, benefit) => {
-        const value = benefit?.max || 0;
-        return sum + (isNaN(value) ? 0 : value);
-      }, 0);
-
-      const roi = totalValue > 0 ? ((totalValue - 795) / 795) * 100 : -100;
-      const minROI = minValue > 0 ? ((minValue - 795) / 795) * 100 : -100;
-      const maxROI = maxValue > 0 ? ((maxValue - 795) / 795) * 100 : -100;
-
-      const results = {
-        totalValue: isNaN(totalValue) ? 0 : totalValue,
-        totalCost: 795,
-        roi: isNaN(roi) ? -100 : roi,
-        minROI: isNaN(minROI) ? -100 : minROI,
-        maxROI: isNaN(maxROI) ? -100 : maxROI,
-        breakdown
-      };
-
-      if (!isValidResults(results)) {
-        throw new Error('Invalid calculation results structure');
-      }
+  const pricedInputs = useMemo(
+    () => (tracking && creditLog.enabled ? applyTrackedCredits(inputs, valuedCard, tracking) : inputs),
+    [tracking, creditLog.enabled, inputs, valuedCard]
+  );
 
-      return results;
-      
-    } catch (error) {
-      console.error('ROI calculation error:', error);
-      return {
-        totalValue: 0,
-        totalCost: 795,
-        roi: -100,
-        minROI: -100,
-        maxROI: -100,
-        breakdown: {}
-      };
-    }
-  }, [inputs, qualifiesForHighSpender]);
+  const handleLogUsage = useCallback((creditKey, index, amount) => {
+    setCreditLog(prev => setLoggedUsage(prev, today.getFullYear(), creditKey, index, amount));
+  }, [today]);
 
   // CRITICAL FIX: Side effects only in useEffect
   useEffect(() => {
-    try {
-      const newResults = calculateROI();
-      setResults(newResults);
-    } catch (error) {
-      console.error('Failed to update results:', error);
-      setResults({
-        totalValue: 0,
-        totalCost: 795,
-        roi: -100,
-        minROI: -100,
-        maxROI: -100,
-        breakdown: {}
-      });
+    const computed = computeROI(pricedInputs, valuedCard);
+    setResults(computed);
+    if (onResultChange) {
+      onResultChange({ inputs: pricedInputs, results: computed, recommendation: getRecommendation(computed) });
     }
-  }, [calculateROI]);
+  }, [pricedInputs, valuedCard, onResultChange]);
+
+  useEffect(() => {
+    if (inputsUpdate) setInputs(prev => ({ ...prev, ...inputsUpdate }));
+  }, [inputsUpdate]);
+
+  const recommendation = useMemo(() => getRecommendation(results), [results]);
+
+  const simulation = useMemo(() => simulateROI(pricedInputs, valuedCard), [pricedInputs, valuedCard]);
+
+  const comparison = useMemo(
+    () => compareCards(pricedInputs, Object.values(CARDS).map(card => (card.id === CARD.id ? valuedCard : prepareCard(card)))),
+    [pricedInputs, valuedCard, prepareCard]
+  );
+
+  const bestAlternative = useMemo(
+    () => findBestAlternative(comparison, CARD.id),
+    [comparison]
+  );
+
+  const productChangePaths = useMemo(
+    () => analyzeProductChanges(pricedInputs, valuedCard, prepareCard),
+    [pricedInputs, valuedCard, prepareCard]
+  );
+
+  // Shareable scenarios: restore inputs from the URL hash, then keep it in sync
+  const [restoredFromUrl, setRestoredFromUrl] = useState(false);
+
+  useEffect(() => {
+    // An embedded widget gets its inputs from the host page instead
+    if (embedded) return undefined;
+
+    const restore = () => {
+      if (window.location.hash.length > 1) {
+        setInputs(decodeInputs(window.location.hash));
+      }
+    };
+    restore();
+    setRestoredFromUrl(true);
+
+    window.addEventListener('hashchange', restore);
+    return () => window.removeEventListener('hashchange', restore);
+  }, [embedded]);
+
+  useEffect(() => {
+    if (!restoredFromUrl) return;
+    window.history.replaceState(null, '', buildShareUrl(window.location, inputs));
+  }, [inputs, restoredFromUrl]);
+
+  const getShareUrl = useCallback(() => buildShareUrl(window.location, inputs), [inputs]);
+
+  const handleLoadInputs = useCallback((loaded) => {
+    setInputs({ ...DEFAULT_INPUTS, ...loaded });
+  }, []);
+
+  const handleApplySpending = useCallback((spending) => {
+    setInputs(prev => ({ ...prev, ...spending }));
+  }, []);
+
+  const [savedScenarios, setSavedScenarios] = useState([]);
+
+  const handleScenarioStoreChange = useCallback((store) => {
+    setSavedScenarios(store.scenarios);
+  }, []);
 
   // Ko-fi widget initialization
   useEffect(() => {
+    if (embedded) return undefined;
+
     // Add minimal Ko-fi styling to ensure it's clickable
     const style = document.createElement('style');
     style.textContent = `
@@ -393,12 +317,12 @@ const SapphireReserveROICalculator = () => {
         document.head.removeChild(style);
       }
     };
-  }, []);
+  }, [embedded]);
 
   // PERFORMANCE + REACT COMPATIBILITY: Stable event handler
   const handleInputChange = useCallback((field, value) => {
     try {
-      if (['chaseTravel', 'flightsHotels', 'dining', 'otherSpending'].includes(field)) {
+      if (SPENDING_KEYS.includes(field)) {
         const numValue = Number(value);
         value = isNaN(numValue) ? 0 : numValue;
       }
@@ -413,8 +337,10 @@ const SapphireReserveROICalculator = () => {
   }, []);
 
   return (
-    <div className="min-h-screen" style={{ backgroundColor: '#F8F6F0' }}>
+    <I18nContext.Provider value={i18n}>
+    <div className={embedded ? '' : 'min-h-screen'} style={{ backgroundColor: background }}>
       {/* Header */}
+      {!embedded && (
       <div className="relative" style={{ backgroundColor: '#C8512F' }}>
         
         <div className="max-w-7xl mx-auto px-8 py-16 text-center relative">
@@ -424,20 +350,52 @@ const SapphireReserveROICalculator = () => {
           </h1>
           <h2 className="text-2xl font-bold text-white tracking-wider" 
               style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-            SAPPHIRE RESERVE ROI CALCULATOR
+            {t('app.subtitle')}
           </h2>
           
           {/* Disclaimer box */}
           <div className="mt-8 inline-block px-8 py-4 bg-black text-white font-bold text-sm tracking-wide">
-            EXISTING CARDHOLDERS ONLY • NO SIGN-UP BONUSES INCLUDED
+            {t('app.disclaimer')}
+          </div>
+
+          <div className="mt-6">
+            <ShareLink getUrl={getShareUrl} />
+          </div>
+
+          {/* Language */}
+          <div className="mt-6 flex justify-center gap-3">
+            {Object.entries(LOCALES).map(([id, option]) => (
+              <button key={id} type="button" onClick={() => setLocale(id)}
+                      className="px-4 py-2 font-black text-xs tracking-wider rounded-2xl border-4 border-white"
+                      style={{
+                        backgroundColor: locale === id ? '#E9C46A' : '#F8F6F0',
+                        color: '#000000',
+                        fontFamily: STATIC_STYLES.fontFamily
+                      }}>
+                {option.label}
+              </button>
+            ))}
           </div>
         </div>
         
         {/* Bottom geometric strip */}
         <div className="h-4 w-full" style={{ backgroundColor: '#E9C46A' }}></div>
       </div>
+      )}
+
+      <div className={'max-w-7xl mx-auto ' + (embedded ? 'p-4' : 'p-8')}>
+        {!embedded && (
+          <>
+            <ScenarioManager
+              inputs={inputs}
+              onLoad={handleLoadInputs}
+              onStoreChange={handleScenarioStoreChange}
+            />
+
+            <ScenarioComparison scenarios={savedScenarios} inputs={inputs} card={valuedCard} />
+          </>
+        )}
 
-      <div className="max-w-7xl mx-auto p-8">
         <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
           
           {/* Input Column 1 - Spending */}
@@ -453,16 +411,16 @@ const SapphireReserveROICalculator = () => {
               <div className="p-8">
                 <h3 className="text-2xl font-black text-black mb-8 tracking-wide" 
                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                  ANNUAL SPENDING
+                  {t('spending.title')}
                 </h3>
                 
                 <div className="space-y-6">
-                  {[
-                    { key: 'chaseTravel', label: 'CHASE TRAVEL (8×)', color: '#C8512F', symbol: '$' },
-                    { key: 'flightsHotels', label: 'FLIGHTS & HOTELS (4×)', color: '#C8512F', symbol: '$' },
-                    { key: 'dining', label: 'DINING (3×)', color: '#C8512F', symbol: '$' },
-                    { key: 'otherSpending', label: 'EVERYTHING ELSE (1×)', color: '#C8512F', symbol: '$' }
-                  ].map((item, index) => (
+                  {CARD.earn.map(category => ({
+                    key: category.key,
+                    label: tc(category.label) + ' (' + category.multiplier + '×)',
+                    color: '#C8512F',
+                    symbol: '$'
+                  })).map((item, index) => (
                     <div key={item.key} className="relative">
                       <label className="block text-sm font-black text-black mb-3 tracking-wide"
                              style={{ fontFamily: STATIC_STYLES.fontFamily }}>
@@ -501,10 +459,10 @@ const SapphireReserveROICalculator = () => {
                   <div className="flex items-center justify-between">
                     <div>
                       <div className="text-3xl font-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                        ${totalAnnualSpending.toLocaleString()}
+                        {formatCurrency(totalAnnualSpending)}
                       </div>
                       <div className="text-sm font-bold tracking-wide" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                        TOTAL ANNUAL SPENDING
+                        {t('spending.total')}
                       </div>
                     </div>
                     <div className="w-16 h-16 rounded-full flex items-center justify-center border-4 border-white" 
@@ -515,63 +473,24 @@ const SapphireReserveROICalculator = () => {
                   {qualifiesForHighSpender && (
                     <div className="mt-4 text-white p-3 font-black text-sm tracking-wider rounded-2xl" 
                          style={{ backgroundColor: '#C8512F', fontFamily: STATIC_STYLES.fontFamily }}>
-                      ✓ HIGH SPENDER QUALIFIED
+                      ✓ {t('spending.highSpenderQualified')}
                     </div>
                   )}
                 </div>
               </div>
             </div>
 
-            {/* High Spender Benefits */}
-            {qualifiesForHighSpender && (
-              <div className="relative"
-                   style={{ 
-                     background: 'linear-gradient(135deg, #C8512F 0%, #B8472A 50%, #C8512F 100%)',
-                     borderRadius: STATIC_STYLES.borderRadius32,
-                     boxShadow: '0 20px 40px rgba(0,0,0,0.1), 0 8px 16px rgba(0,0,0,0.1)'
-                   }}>
-                
-                <div className="p-8">
-                  <h3 className="text-2xl font-black text-white mb-8 tracking-wide"
-                      style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                    HIGH SPENDER BENEFITS
-                  </h3>
-                  
-                  <div className="space-y-4">
-                    {[
-                      { key: 'useShopsCredit', label: '$250 SHOPS CREDIT', value: '$250' },
-                      { key: 'useSouthwestCredit', label: '$500 SOUTHWEST CREDIT', value: '$500' },
-                      { key: 'useIHGDiamond', label: 'IHG DIAMOND STATUS', value: '$200' },
-                      { key: 'useSouthwestAList', label: 'SOUTHWEST A-LIST', value: '$150' }
-                    ].map(benefit => (
-                      <div key={benefit.key} 
-                           className="flex items-center justify-between p-4 cursor-pointer transition-all duration-300 hover:scale-105 rounded-3xl"
-                           style={{ backgroundColor: inputs[benefit.key] ? '#E9C46A' : '#F8F6F0' }}
-                           onClick={() => handleInputChange(benefit.key, !inputs[benefit.key])}>
-                        <div className="flex items-center">
-                          <div className="w-8 h-8 border-4 mr-4 transition-all rounded-lg"
-                               style={{ 
-                                 borderColor: '#3D405B',
-                                 backgroundColor: inputs[benefit.key] ? '#3D405B' : '#F8F6F0'
-                               }}>
-                            {inputs[benefit.key] && (
-                              <div className="w-full h-full scale-50 mt-1 ml-1 rounded-sm" style={{ backgroundColor: '#E9C46A' }}></div>
-                            )}
-                          </div>
-                          <span className="font-black text-black text-sm tracking-wide"
-                                style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                            {benefit.label}
-                          </span>
-                        </div>
-                        <span className="font-black text-black text-lg"
-                              style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                          {benefit.value}
-                        </span>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              </div>
+            {!embedded && (
+              <>
+                {/* High Spender Tier */}
+                <HighSpenderTier inputs={inputs} card={valuedCard} onInputChange={handleInputChange} />
+
+                {/* Authorized Users */}
+                <AuthorizedUsers inputs={inputs} card={valuedCard} onInputChange={handleInputChange} />
+
+                {/* CSV Import */}
+                <CsvImport onApply={handleApplySpending} />
+              </>
             )}
           </div>
 
@@ -588,21 +507,15 @@ const SapphireReserveROICalculator = () => {
               <div className="p-8">
                 <h3 className="text-2xl font-black text-white mb-8 tracking-wide"
                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                  TRAVEL BENEFITS
+                  {t('travel.title')}
                 </h3>
                 
                 <div className="space-y-6">
-                  {[
-                    { key: 'travelCreditUsage', label: 'TRAVEL CREDIT', max: 300, placeholder: '300', symbol: '$' },
-                    { key: 'diningCredit', label: 'DINING CREDIT', max: 300, placeholder: '300', symbol: '$' },
-                    { key: 'editStaysValue', label: 'EDIT STAYS', placeholder: '0', symbol: '$' },
-                    { key: 'stubhubSpending', label: 'STUBHUB', placeholder: '0', symbol: '$' },
-                    { key: 'priorityPassVisits', label: 'PRIORITY PASS VISITS', placeholder: '0', symbol: '#' }
-                  ].map((item, index) => (
+                  {getPanelInputs(CARD, 'travel', 'number').map((item, index) => (
                     <div key={item.key}>
                       <label className="block text-sm font-black text-white mb-3 tracking-wide"
                              style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                        {item.label}
+                        {tc(item.label)}
                       </label>
                       
                       <div className="flex items-center space-x-4">
@@ -627,35 +540,38 @@ const SapphireReserveROICalculator = () => {
                           }}
                           onFocus={(e) => e.target.style.borderColor = '#E9C46A'}
                           onBlur={(e) => e.target.style.borderColor = '#3D405B'}
-                          placeholder={item.placeholder}
+                          placeholder={String(item.default)}
                         />
                       </div>
                       {item.max && <div className="text-xs mt-1 text-white font-bold"
                                         style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                        MAX ${item.max}
+                        {t('common.max', { max: formatCurrency(item.max) })}
                       </div>}
                     </div>
                   ))}
                 </div>
                 
-                {/* Global Entry Checkbox */}
-                <div className="mt-8 flex items-center p-4 cursor-pointer transition-all duration-300 hover:scale-105 rounded-3xl"
-                     style={{ backgroundColor: inputs.globalEntryValue ? '#E9C46A' : '#F8F6F0' }}
-                     onClick={() => handleInputChange('globalEntryValue', !inputs.globalEntryValue)}>
-                  <div className="w-8 h-8 border-4 mr-4 rounded-lg"
-                       style={{ 
-                         borderColor: '#3D405B',
-                         backgroundColor: inputs.globalEntryValue ? '#3D405B' : '#F8F6F0'
-                       }}>
-                    {inputs.globalEntryValue && (
-                      <div className="w-full h-full scale-50 mt-1 ml-1 rounded-sm" style={{ backgroundColor: '#E9C46A' }}></div>
-                    )}
+                {/* Travel checkboxes (Global Entry) */}
+                {getPanelInputs(CARD, 'travel', 'toggle').map(toggle => (
+                  <div key={toggle.key}
+                       className="mt-8 flex items-center p-4 cursor-pointer transition-all duration-300 hover:scale-105 rounded-3xl"
+                       style={{ backgroundColor: inputs[toggle.key] ? '#E9C46A' : '#F8F6F0' }}
+                       onClick={() => handleInputChange(toggle.key, !inputs[toggle.key])}>
+                    <div className="w-8 h-8 border-4 mr-4 rounded-lg"
+                         style={{ 
+                           borderColor: '#3D405B',
+                           backgroundColor: inputs[toggle.key] ? '#3D405B' : '#F8F6F0'
+                         }}>
+                      {Boolean(inputs[toggle.key]) && (
+                        <div className="w-full h-full scale-50 mt-1 ml-1 rounded-sm" style={{ backgroundColor: '#E9C46A' }}></div>
+                      )}
+                    </div>
+                    <span className="font-black text-black tracking-wide"
+                          style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                      {tc(toggle.label)}
+                    </span>
                   </div>
-                  <span className="font-black text-black tracking-wide"
-                        style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                    GLOBAL ENTRY CREDIT
-                  </span>
-                </div>
+                ))}
               </div>
             </div>
 
@@ -670,19 +586,15 @@ const SapphireReserveROICalculator = () => {
               <div className="p-8">
                 <h3 className="text-2xl font-black text-white mb-8 tracking-wide"
                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                  SERVICES
+                  {t('services.title')}
                 </h3>
                 
                 <div className="space-y-6">
-                  {[
-                    { key: 'dashpassUsage', label: 'DASHPASS MONTHS', max: 12, placeholder: '12', symbol: '#' },
-                    { key: 'lyftRides', label: 'LYFT RIDES/MONTH', placeholder: '0', symbol: '#' },
-                    { key: 'pelotonEquipment', label: 'PELOTON EQUIPMENT', placeholder: '0', symbol: '$' }
-                  ].map(item => (
+                  {getPanelInputs(CARD, 'services', 'number').map(item => (
                     <div key={item.key}>
                       <label className="block text-sm font-black text-white mb-3 tracking-wide"
                              style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                        {item.label}
+                        {tc(item.label)}
                       </label>
                       
                       <div className="flex items-center space-x-4">
@@ -707,12 +619,12 @@ const SapphireReserveROICalculator = () => {
                           }}
                           onFocus={(e) => e.target.style.borderColor = '#E9C46A'}
                           onBlur={(e) => e.target.style.borderColor = '#F8F6F0'}
-                          placeholder={item.placeholder}
+                          placeholder={String(item.default)}
                         />
                       </div>
                       {item.max && <div className="text-xs mt-1 text-white font-bold"
                                         style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                        MAX {item.max}
+                        {t('common.max', { max: item.max })}
                       </div>}
                     </div>
                   ))}
@@ -720,12 +632,7 @@ const SapphireReserveROICalculator = () => {
                 
                 {/* Service checkboxes */}
                 <div className="mt-8 space-y-3">
-                  {[
-                    { key: 'restaurantOrders', label: '$5 DOORDASH RESTAURANT CREDIT', period: 'monthly' },
-                    { key: 'nonRestaurantOrders', label: '$20 DOORDASH NON-RESTAURANT CREDIT', period: 'monthly' },
-                    { key: 'pelotonMembership', label: '$120 PELOTON MEMBERSHIP', period: 'annual' },
-                    { key: 'appleServices', label: '$215 APPLE SERVICES', period: 'annual' }
-                  ].map(service => (
+                  {getPanelInputs(CARD, 'services', 'toggle').map(service => (
                     <div key={service.key} 
                          className="flex items-center justify-between p-4 cursor-pointer transition-all duration-300 hover:scale-105 rounded-3xl"
                          style={{ backgroundColor: inputs[service.key] ? '#E9C46A' : '#F8F6F0' }}
@@ -736,18 +643,18 @@ const SapphireReserveROICalculator = () => {
                                borderColor: '#3D405B',
                                backgroundColor: inputs[service.key] ? '#3D405B' : '#F8F6F0'
                              }}>
-                          {inputs[service.key] && (
+                          {Boolean(inputs[service.key]) && (
                             <div className="w-full h-full scale-50 mt-1 ml-1 rounded-sm" style={{ backgroundColor: '#E9C46A' }}></div>
                           )}
                         </div>
                         <div>
                           <span className="font-black text-black text-sm tracking-wide block"
                                 style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                            {service.label}
+                            {tc(service.label)}
                           </span>
                           <span className="text-xs text-black font-bold opacity-75"
                                 style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                            {service.period}
+                            {t('period.' + service.period)}
                           </span>
                         </div>
                       </div>
@@ -756,6 +663,28 @@ const SapphireReserveROICalculator = () => {
                 </div>
               </div>
             </div>
+
+            {!embedded && (
+              <>
+                {/* Subscription Value */}
+                <SubscriptionValue inputs={inputs} card={CARD} onInputChange={handleInputChange} />
+
+                {/* Point Valuation */}
+                <ValuationSettings
+                  valuation={valuation}
+                  pointValues={valuedCard.pointValues}
+                  onChange={setValuation}
+                />
+
+                {/* Baseline Card */}
+                <BaselineSettings
+                  baseline={baseline}
+                  inputs={pricedInputs}
+                  card={valuedCard}
+                  onChange={setBaseline}
+                />
+              </>
+            )}
           </div>
 
           {/* Results Column */}
@@ -771,42 +700,44 @@ const SapphireReserveROICalculator = () => {
               <div className="p-8">
                 <h3 className="text-2xl font-black text-white mb-8 text-center tracking-wide"
                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                  ROI ANALYSIS
+                  {t('roi.title')}
                 </h3>
                 
                 <div className="space-y-4 mb-8">
                   <div className="flex justify-between items-center py-3 border-b-4 border-white rounded-lg">
                     <span className="text-white font-bold tracking-wide"
                           style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                      ANNUAL FEE
+                      {getAuthorizedUserCount(inputs, CARD) > 0
+                        ? t('roi.annualFeeWithUsers', { count: getAuthorizedUserCount(inputs, CARD) })
+                        : t('roi.annualFee')}
                     </span>
                     <span className="text-2xl font-black text-white"
                           style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                      -$795
+                      {formatCurrency(-results.totalCost)}
                     </span>
                   </div>
                   <div className="flex justify-between items-center py-3 border-b-4 border-white rounded-lg">
                     <span className="text-white font-bold tracking-wide"
                           style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                      BENEFIT VALUE
+                      {t('roi.benefitValue')}
                     </span>
                     <span className="text-2xl font-black text-white"
                           style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                      ${results.totalValue.toFixed(0)}
+                      {formatCurrency(results.totalValue)}
                     </span>
                   </div>
                   <div className="flex justify-between items-center py-3 border-b-4 rounded-lg" 
                        style={{ borderColor: '#E9C46A' }}>
                     <span className="text-white font-bold tracking-wide"
                           style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                      NET VALUE
+                      {t('roi.netValue')}
                     </span>
                     <span className="text-2xl font-black"
                           style={{ 
-                            color: results.totalValue - 795 > 0 ? '#E9C46A' : '#E07A5F',
+                            color: results.totalValue - results.totalCost > 0 ? '#E9C46A' : '#E07A5F',
                             fontFamily: STATIC_STYLES.fontFamily
                           }}>
-                      ${(results.totalValue - 795).toFixed(0)}
+                      {formatCurrency(results.totalValue - results.totalCost)}
                     </span>
                   </div>
                 </div>
@@ -815,15 +746,19 @@ const SapphireReserveROICalculator = () => {
                 <div className="text-center p-8 rounded-3xl" style={{ backgroundColor: '#E9C46A' }}>
                   <div className="text-black font-black text-sm tracking-wider mb-2"
                        style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                    RETURN ON INVESTMENT
+                    {t('roi.returnOnInvestment')}
                   </div>
                   <div className="text-6xl font-black text-black mb-2"
                        style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                    {results.roi.toFixed(1)}%
+                    {formatPercent(results.roi)}
                   </div>
                   <div className="text-xs text-black font-bold"
                        style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                    RANGE: {results.minROI.toFixed(1)}% TO {results.maxROI.toFixed(1)}%
+                    {t('roi.chance', {
+                      chance: formatPercent(simulation.probPositive * 100, true),
+                      p10: formatPercent(simulation.percentiles.p10.roi),
+                      p90: formatPercent(simulation.percentiles.p90.roi)
+                    })}
                   </div>
                   
                   {/* Geometric accent */}
@@ -835,17 +770,18 @@ const SapphireReserveROICalculator = () => {
                 </div>
                 
                 {/* Ko-fi Support Button - Bright and Prominent */}
+                {!embedded && (
                 <div className="mt-6 p-5 rounded-2xl text-center border-4 border-white" 
                      style={{ 
                        background: 'linear-gradient(135deg, #E07A5F 0%, #D6704B 50%, #E07A5F 100%)'
                      }}>
                   <div className="text-white font-black text-lg mb-3 tracking-wider"
                        style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                    SUPPORT VALORETTI
+                    {t('support.title')}
                   </div>
                   <div className="text-xs text-white font-bold mb-3"
                        style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                    If this saved you time or effort, consider giving back ❤️
+                    {t('support.body')} ❤️
                   </div>
                   
                   {/* Ko-fi Button Container */}
@@ -855,6 +791,7 @@ const SapphireReserveROICalculator = () => {
                     </div>
                   </div>
                 </div>
+                )}
               </div>
             </div>
 
@@ -863,11 +800,13 @@ const SapphireReserveROICalculator = () => {
               <div className="p-4" style={{ backgroundColor: '#E9C46A', borderRadius: '16px 16px 0 0' }}>
                 <h3 className="text-2xl font-black text-black text-center tracking-wide"
                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                  BREAKDOWN
+                  {t('breakdown.title')}
                 </h3>
               </div>
               
               <div className="p-6 space-y-3">
+                <BreakdownCharts results={results} />
+
                 {Object.entries(results.breakdown).map(([key, benefit], index) => (
                   <div key={key} className="p-4 border-4 rounded-2xl"
                        style={{ 
@@ -877,31 +816,33 @@ const SapphireReserveROICalculator = () => {
                     <div className="flex justify-between items-start">
                       <div className="flex items-center flex-1">
                         <div className="w-6 h-6 mr-4 rounded-full"
-                             style={{ 
-                               backgroundColor: key === 'highSpender' ? '#E9C46A' : 
-                                              index % 3 === 0 ? '#E9C46A' : 
-                                              index % 3 === 1 ? '#C8512F' : '#E07A5F'
-                             }}></div>
+                             style={{ backgroundColor: breakdownColor(key, index) }}></div>
                         <div>
                           <div className={`font-black text-sm tracking-wide ${key === 'highSpender' ? 'text-white' : 'text-black'}`}
                                style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                            {key === 'highSpender' ? 'HIGH SPENDER' : key.replace(/([A-Z])/g, ' $1').trim().toUpperCase()}
+                            {i18n.lineLabel(key)}
                           </div>
                           <div className={`text-xs mt-1 ${key === 'highSpender' ? 'text-white' : 'text-black'}`}
                                style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                            {benefit.details}
+                            {i18n.renderDetails(benefit.details)}
                           </div>
                         </div>
                       </div>
                       <div className="text-right ml-4">
                         <div className={`font-black text-lg ${key === 'highSpender' ? 'text-white' : 'text-black'}`}
                              style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                          ${benefit.value.toFixed(0)}
+                          {formatCurrency(benefit.value)}
                         </div>
                         <div className={`text-xs ${key === 'highSpender' ? 'text-white' : 'text-black'}`}
                              style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                          ${benefit.min.toFixed(0)}-${benefit.max.toFixed(0)}
+                          {formatCurrency(benefit.min)}–{formatCurrency(benefit.max)}
                         </div>
+                        {benefit.retail !== undefined && Math.round(benefit.retail) !== Math.round(benefit.value) && (
+                          <div className={`text-xs font-bold ${key === 'highSpender' ? 'text-white' : 'text-black'}`}
+                               style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                            {t('breakdown.retail', { amount: formatCurrency(benefit.retail) })}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -909,6 +850,11 @@ const SapphireReserveROICalculator = () => {
               </div>
             </div>
 
+            {/* Export */}
+            {!embedded && (
+              <ExportMenu inputs={pricedInputs} results={results} card={valuedCard} onImport={handleLoadInputs} />
+            )}
+
             {/* Recommendation */}
             <div className="p-8 text-center border-8 rounded-3xl"
                  style={{ 
@@ -917,16 +863,27 @@ const SapphireReserveROICalculator = () => {
                  }}>
               <div className="text-4xl font-black text-black mb-4 tracking-wide"
                    style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                {results.roi > 0 ? 'RECOMMENDED' : 'NOT RECOMMENDED'}
+                {t(recommendation.recommended ? 'verdict.recommended' : 'verdict.notRecommended')}
               </div>
               <div className={`text-lg font-black mb-2 tracking-wide ${results.roi > 0 ? 'text-black' : 'text-white'}`}
                    style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                {results.roi > 0 ? 'POSITIVE ROI: KEEP THE CARD' : 'NEGATIVE ROI: CONSIDER ALTERNATIVES'}
+                {t(recommendation.recommended ? 'verdict.keep' : 'verdict.considerAlternatives')}
               </div>
               <div className={`text-sm font-bold ${results.roi > 0 ? 'text-black' : 'text-white'}`}
                    style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                NET {results.roi > 0 ? 'BENEFIT' : 'LOSS'}: ${Math.abs(results.totalValue - 795).toFixed(0)}
+                {t(results.roi > 0 ? 'recommendation.netBenefit' : 'recommendation.netLoss', {
+                  amount: formatCurrency(Math.abs(results.totalValue - results.totalCost))
+                })}
               </div>
+              {bestAlternative && (
+                <div className={`text-sm font-black mt-4 tracking-wide ${results.roi > 0 ? 'text-black' : 'text-white'}`}
+                     style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+                  {t(results.roi > 0 ? 'recommendation.higherNet' : 'recommendation.switchTo', {
+                    card: bestAlternative.card.name.toUpperCase(),
+                    amount: formatCurrency(bestAlternative.net)
+                  })}
+                </div>
+              )}
               
               {/* Geometric pattern */}
               <div className="mt-6 flex justify-center space-x-1">
@@ -940,6 +897,18 @@ const SapphireReserveROICalculator = () => {
               </div>
             </div>
 
+            {!embedded && (
+            <>
+            {/* Card Comparison */}
+            <CardComparison comparison={comparison} currentCardId={CARD.id} />
+
+            {/* Product Change Analysis */}
+            <ProductChangeAnalysis
+              paths={productChangePaths}
+              pointsBalance={inputs.pointsBalance}
+              onPointsBalanceChange={(value) => handleInputChange('pointsBalance', value)}
+            />
+
             {/* Ko-fi Support Button - Under Recommendation */}
             <div className="p-5 rounded-2xl text-center border-4 border-white" 
                  style={{ 
@@ -947,11 +916,11 @@ const SapphireReserveROICalculator = () => {
                  }}>
               <div className="text-white font-black text-lg mb-3 tracking-wider"
                    style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                SUPPORT VALORETTI
+                {t('support.title')}
               </div>
               <div className="text-xs text-white font-bold mb-3"
                    style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                If this saved you time or effort, consider giving back ❤️
+                {t('support.body')} ❤️
               </div>
               
               {/* Ko-fi Button Container */}
@@ -961,19 +930,30 @@ const SapphireReserveROICalculator = () => {
                 </div>
               </div>
             </div>
+            </>
+            )}
 
             {/* Analysis Notes */}
             <div className="p-6 border-4 rounded-3xl relative" style={{ backgroundColor: '#3D405B', borderColor: '#E9C46A' }}>
               <h4 className="font-black mb-4 text-white text-lg tracking-wide"
                   style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                NOTES
+                {t('notes.title')}
               </h4>
               <div className="text-sm space-y-2 text-white font-bold"
                    style={{ fontFamily: STATIC_STYLES.fontFamily }}>
-                <div>• EXISTING CARDHOLDERS ONLY</div>
-                <div>• POINT VALUES: 1.5-2.0¢ VIA CHASE TRAVEL</div>
-                <div>• HIGH SPENDER: $75K+ ANNUAL SPENDING</div>
-                <div>• ACTUAL VALUE VARIES BY USAGE</div>
+                <div>• {t('notes.existingOnly')}</div>
+                <div>• {t('notes.pointValues', {
+                  min: i18n.formatCents(valuedCard.pointValues.min),
+                  max: i18n.formatCents(valuedCard.pointValues.max),
+                  preset: t('valuation.preset.' + valuation.preset)
+                })}</div>
+                {baseline.preset !== 'none' && <div>• {t('notes.baseline', { baseline: t('baseline.preset.' + baseline.preset) })}</div>}
+                <div>• {t('notes.highSpender', {
+                  threshold: formatCurrency(CARD.highSpender.threshold),
+                  window: tc(CARD.highSpender.window)
+                })}</div>
+                <div>• {t('notes.terms', { version: CARD.version })}</div>
+                <div>• {t(creditLog.enabled ? 'notes.trackedCredits' : 'notes.usageVaries')}</div>
               </div>
               
               {/* Corner accent */}
@@ -981,8 +961,26 @@ const SapphireReserveROICalculator = () => {
             </div>
           </div>
         </div>
+
+        {/* Analysis */}
+        {!embedded && (
+        <div className="mt-8 grid grid-cols-1 xl:grid-cols-2 gap-8">
+          <CreditTracker
+            tracking={tracking}
+            enabled={creditLog.enabled}
+            onToggle={(enabled) => setCreditLog(prev => ({ ...prev, enabled }))}
+            onLogUsage={handleLogUsage}
+          />
+          <MultiYearProjection inputs={pricedInputs} card={valuedCard} />
+          <ROIUncertainty simulation={simulation} />
+          <SensitivityAnalysis inputs={pricedInputs} card={valuedCard} />
+          <SpendCurve inputs={pricedInputs} card={valuedCard} />
+          <BatchEvaluation card={valuedCard} />
+        </div>
+        )}
       </div>
     </div>
+    </I18nContext.Provider>
   );
 };
 
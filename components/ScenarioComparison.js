@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { diffBreakdowns } from '../lib/comparison';
+import { computeROI } from '../lib/roi';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+const CURRENT_ID = 'current';
+
+const ScenarioComparison = ({ scenarios, inputs, card }) => {
+  const { t, formatCurrency, formatNumber, formatPercent, lineLabel } = useI18n();
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // Dollar deltas, or ROI deltas in percentage points
+  const formatDelta = (delta, points = false) => {
+    if (delta === null) return '—';
+    const amount = Math.abs(delta) < 0.5 ? 0 : Math.abs(delta);
+    const sign = amount === 0 ? '±' : delta > 0 ? '+' : '-';
+    return sign + (points
+      ? t('scenarioComparison.points', { value: formatNumber(amount, amount === 0 ? 0 : 1) })
+      : formatCurrency(amount));
+  };
+
+  const options = useMemo(() => [
+    { id: CURRENT_ID, name: t('scenarioComparison.current'), inputs },
+    ...scenarios
+  ], [scenarios, inputs, t]);
+
+  // Keep pick order so the first scenario picked is the baseline
+  const selected = useMemo(
+    () => selectedIds.map(id => options.find(option => option.id === id)).filter(Boolean),
+    [selectedIds, options]
+  );
+
+  const diff = useMemo(() => (selected.length >= 2
+    ? diffBreakdowns(selected.map(option => ({ results: computeROI(option.inputs, card) })))
+    : null
+  ), [selected, card]);
+
+  const toggle = (id) => setSelectedIds(prev => (
+    prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]
+  ));
+
+  if (scenarios.length === 0) return null;
+
+  return (
+    <div className="mb-8 border-8 rounded-3xl" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+      <div className="p-4" style={{ backgroundColor: '#E9C46A', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-black text-center tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('scenarioComparison.title')}
+        </h3>
+      </div>
+
+      <div className="p-6">
+        <div className="flex flex-wrap gap-3 mb-6">
+          {options.map(option => (
+            <button key={option.id} type="button" onClick={() => toggle(option.id)}
+                    className="px-4 py-2 font-black text-sm tracking-wide rounded-2xl border-4"
+                    style={{
+                      borderColor: '#3D405B',
+                      backgroundColor: selectedIds.includes(option.id) ? '#3D405B' : '#F8F6F0',
+                      color: selectedIds.includes(option.id) ? '#FFFFFF' : '#000000',
+                      fontFamily: STATIC_STYLES.fontFamily
+                    }}>
+              {selectedIds.includes(option.id) ? '✓ ' : ''}{option.name.toUpperCase()}
+            </button>
+          ))}
+        </div>
+
+        {!diff ? (
+          <div className="text-sm font-bold text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+            {t('scenarioComparison.hint')}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+              <thead>
+                <tr className="border-b-4" style={{ borderColor: '#3D405B' }}>
+                  <th className="text-left py-2 font-black">{t('report.line')}</th>
+                  {selected.map(option => (
+                    <th key={option.id} className="text-right py-2 px-2 font-black">{option.name.toUpperCase()}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {diff.rows.map(row => (
+                  <tr key={row.key} className="border-b-2" style={{ borderColor: '#E9C46A' }}>
+                    <td className="py-2 font-bold">{lineLabel(row.key)}</td>
+                    {row.values.map((value, index) => (
+                      <td key={selected[index].id} className="text-right py-2 px-2">
+                        <div className="font-black">{formatCurrency(value)}</div>
+                        {index > 0 && (
+                          <div className="text-xs" style={{ color: row.deltas[index] < 0 ? '#C8512F' : '#3D405B' }}>
+                            {formatDelta(row.deltas[index])}
+                          </div>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="border-t-4" style={{ borderColor: '#3D405B' }}>
+                  <td className="py-2 font-black">{t('scenarioComparison.totalValue')}</td>
+                  {diff.totals.map((total, index) => (
+                    <td key={selected[index].id} className="text-right py-2 px-2">
+                      <div className="font-black">{formatCurrency(total.totalValue)}</div>
+                      {index > 0 && <div className="text-xs">{formatDelta(total.valueDelta)}</div>}
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td className="py-2 font-black">ROI</td>
+                  {diff.totals.map((total, index) => (
+                    <td key={selected[index].id} className="text-right py-2 px-2">
+                      <div className="font-black">{total.roi === null ? '—' : formatPercent(total.roi)}</div>
+                      {index > 0 && <div className="text-xs">{formatDelta(total.roiDelta, true)}</div>}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  createScenario,
+  deleteScenario,
+  duplicateScenario,
+  emptyStore,
+  getActiveScenario,
+  inputsEqual,
+  loadStore,
+  saveStore,
+  setActiveScenario,
+  updateScenario
+} from '../lib/scenarios';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const buttonStyle = (active) => ({
+  backgroundColor: active ? '#C8512F' : '#F8F6F0',
+  color: active ? '#FFFFFF' : '#000000',
+  borderColor: '#3D405B',
+  fontFamily: STATIC_STYLES.fontFamily
+});
+
+const ScenarioManager = ({ inputs, onLoad, onStoreChange }) => {
+  const { t } = useI18n();
+  const [store, setStore] = useState(emptyStore);
+  const [loaded, setLoaded] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  // Load once on mount; a shared link in the URL takes precedence over the
+  // active scenario.
+  useEffect(() => {
+    if (loaded) return;
+    const initial = loadStore(window.localStorage);
+    setStore(initial);
+    setLoaded(true);
+
+    const active = getActiveScenario(initial);
+    if (active && window.location.hash.length <= 1) {
+      onLoad(active.inputs);
+    }
+  }, [loaded, onLoad]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    saveStore(window.localStorage, store);
+    if (onStoreChange) onStoreChange(store);
+  }, [store, loaded, onStoreChange]);
+
+  const active = getActiveScenario(store);
+  const hasUnsavedChanges = active && !inputsEqual(active.inputs, inputs);
+
+  const handleSaveNew = useCallback(() => {
+    setStore(prev => createScenario(prev, newName || t('scenarios.defaultName', { n: prev.scenarios.length + 1 }), inputs));
+    setNewName('');
+  }, [newName, inputs, t]);
+
+  const handleSaveActive = useCallback(() => {
+    if (!active) return;
+    setStore(prev => updateScenario(prev, active.id, { inputs: { ...inputs } }));
+  }, [active, inputs]);
+
+  const handleSwitch = useCallback((scenario) => {
+    setStore(prev => setActiveScenario(prev, scenario.id));
+    onLoad(scenario.inputs);
+  }, [onLoad]);
+
+  return (
+    <div className="mb-8 p-6 rounded-3xl"
+         style={{ backgroundColor: '#3D405B', borderRadius: STATIC_STYLES.borderRadius32, boxShadow: PANEL_SHADOW }}>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-2xl font-black text-white tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('scenarios.title')}
+        </h3>
+        <div className="text-sm font-bold text-white tracking-wide"
+             style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {active
+            ? t('scenarios.active', { name: active.name.toUpperCase() }) +
+              (hasUnsavedChanges ? ' • ' + t('scenarios.unsaved') : '')
+            : t('scenarios.none')}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        {store.scenarios.map(scenario => (
+          <div key={scenario.id} className="flex items-center rounded-2xl border-4 overflow-hidden"
+               style={buttonStyle(scenario.id === store.activeId)}>
+            <button type="button" className="px-4 py-2 font-black text-sm tracking-wide"
+                    onClick={() => handleSwitch(scenario)}>
+              {scenario.name.toUpperCase()}
+            </button>
+            <button type="button" className="px-2 py-2 font-black text-xs" title={t('scenarios.duplicate')}
+                    onClick={() => setStore(prev => duplicateScenario(prev, scenario.id))}>
+              ⧉
+            </button>
+            <button type="button" className="px-2 py-2 font-black text-xs" title={t('scenarios.delete')}
+                    onClick={() => setStore(prev => deleteScenario(prev, scenario.id))}>
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('scenarios.namePlaceholder')}
+          className="flex-1 p-3 font-black text-black border-4 focus:outline-none"
+          style={{
+            backgroundColor: '#F8F6F0',
+            borderColor: '#F8F6F0',
+            fontFamily: STATIC_STYLES.fontFamily,
+            borderRadius: STATIC_STYLES.borderRadius24
+          }}
+        />
+        <button type="button" onClick={handleSaveNew}
+                className="px-6 py-3 font-black text-sm tracking-wider rounded-2xl border-4"
+                style={buttonStyle(false)}>
+          {t('scenarios.saveAsNew')}
+        </button>
+        {active && (
+          <button type="button" onClick={handleSaveActive} disabled={!hasUnsavedChanges}
+                  className="px-6 py-3 font-black text-sm tracking-wider rounded-2xl border-4 disabled:opacity-50"
+                  style={buttonStyle(hasUnsavedChanges)}>
+            {t('scenarios.save', { name: active.name.toUpperCase() })}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioManager;
@@ -0,0 +1,116 @@
+import React, { useState, useMemo } from 'react';
+import { getInputLabel } from '../lib/cards';
+import { computeSensitivity, getNumericInputKeys, solveBreakEven } from '../lib/sensitivity';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+const CHART_WIDTH = 520;
+const LABEL_WIDTH = 190;
+const ROW_HEIGHT = 26;
+
+const TornadoChart = ({ sensitivity, card }) => {
+  const { t, tc, formatPercent } = useI18n();
+  const { rows, baselineROI } = sensitivity;
+  const values = rows.flatMap(row => [row.lowROI, row.highROI]).concat(baselineROI, 0);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const plotWidth = CHART_WIDTH - LABEL_WIDTH - 10;
+  const x = (roi) => LABEL_WIDTH + ((roi - min) / span) * plotWidth;
+  const height = rows.length * ROW_HEIGHT + 24;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} className="w-full" role="img"
+         aria-label={t('sensitivity.chartLabel')} style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+      {rows.map((row, index) => {
+        const y = index * ROW_HEIGHT + 4;
+        const left = Math.min(row.lowROI, row.highROI);
+        const right = Math.max(row.lowROI, row.highROI);
+        return (
+          <g key={row.key}>
+            <text x={LABEL_WIDTH - 8} y={y + 15} textAnchor="end" fontSize="10" fontWeight="900" fill="#000">
+              {tc(getInputLabel(card, row.key))}
+            </text>
+            <rect x={x(left)} y={y} width={Math.max(x(right) - x(left), 1)} height={ROW_HEIGHT - 8}
+                  rx="4" fill={index % 2 === 0 ? '#C8512F' : '#E07A5F'} />
+          </g>
+        );
+      })}
+      <line x1={x(baselineROI)} x2={x(baselineROI)} y1="0" y2={height - 18} stroke="#3D405B" strokeWidth="3" />
+      <line x1={x(0)} x2={x(0)} y1="0" y2={height - 18} stroke="#E9C46A" strokeWidth="3" strokeDasharray="4 3" />
+      <text x={x(0)} y={height - 4} textAnchor="middle" fontSize="10" fontWeight="900" fill="#000">{formatPercent(0, true)}</text>
+      <text x={LABEL_WIDTH} y={height - 4} fontSize="10" fill="#000">{formatPercent(min, true)}</text>
+      <text x={CHART_WIDTH - 10} y={height - 4} textAnchor="end" fontSize="10" fill="#000">{formatPercent(max, true)}</text>
+    </svg>
+  );
+};
+
+const SensitivityAnalysis = ({ inputs, card }) => {
+  const { t, tc, formatNumber } = useI18n();
+  const keys = useMemo(() => getNumericInputKeys(inputs), [inputs]);
+  const [solveFor, setSolveFor] = useState('dining');
+
+  const breakEven = useMemo(() => solveBreakEven(inputs, card, solveFor), [inputs, card, solveFor]);
+  const sensitivity = useMemo(() => computeSensitivity(inputs, card), [inputs, card]);
+
+  const current = inputs[solveFor] || 0;
+  const inputLabel = tc(getInputLabel(card, solveFor));
+
+  return (
+    <div className="border-8 rounded-3xl xl:col-span-2" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+      <div className="p-4" style={{ backgroundColor: '#E9C46A', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-black text-center tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('sensitivity.title')}
+        </h3>
+      </div>
+
+      <div className="p-6 grid grid-cols-1 xl:grid-cols-2 gap-8 text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <div>
+          <label className="block text-sm font-black tracking-wide mb-3">
+            {t('sensitivity.solveFor')}
+            <select value={solveFor} onChange={(e) => setSolveFor(e.target.value)}
+                    className="block w-full mt-2 p-3 font-black border-4 rounded-2xl"
+                    style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+              {keys.map(key => (
+                <option key={key} value={key}>{tc(getInputLabel(card, key))}</option>
+              ))}
+            </select>
+          </label>
+
+          <div className="p-6 rounded-3xl text-white" style={{ backgroundColor: '#3D405B' }}>
+            {!breakEven.reachable ? (
+              <div className="font-black">
+                {t('sensitivity.unreachable', { input: inputLabel })}
+              </div>
+            ) : breakEven.value === 0 ? (
+              <div className="font-black">{t('sensitivity.alreadyPositive', { input: inputLabel })}</div>
+            ) : (
+              <>
+                <div className="text-4xl font-black">{formatNumber(breakEven.value)}</div>
+                <div className="text-sm font-bold mt-2">
+                  {t('sensitivity.needed', { input: inputLabel })}
+                  {' • '}
+                  {breakEven.value > current
+                    ? t('sensitivity.moreThanToday', { amount: formatNumber(breakEven.value - current) })
+                    : t('sensitivity.aboveBreakEven')}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <div className="text-sm font-black tracking-wide mb-3">
+            {t('sensitivity.tornado')}
+          </div>
+          {sensitivity.rows.length > 0
+            ? <TornadoChart sensitivity={sensitivity} card={card} />
+            : <div className="text-sm font-bold">{t('sensitivity.noChange')}</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SensitivityAnalysis;
@@ -0,0 +1,31 @@
+import React, { useState, useCallback } from 'react';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+const ShareLink = ({ getUrl }) => {
+  const { t } = useI18n();
+  const [status, setStatus] = useState('idle');
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(getUrl());
+      setStatus('copied');
+    } catch (error) {
+      console.error('Copy link error:', error);
+      setStatus('failed');
+    }
+    setTimeout(() => setStatus('idle'), 2000);
+  }, [getUrl]);
+
+  return (
+    <button
+      type="button"
+      onClick={handleCopy}
+      className="px-6 py-3 font-black text-sm tracking-wider rounded-2xl border-4 border-white transition-all duration-300 hover:scale-105"
+      style={{ backgroundColor: '#3D405B', color: '#FFFFFF', fontFamily: STATIC_STYLES.fontFamily }}>
+      {status === 'copied' ? '✓ ' + t('share.copied') : t(status === 'failed' ? 'share.failed' : 'share.copy')}
+    </button>
+  );
+};
+
+export default ShareLink;
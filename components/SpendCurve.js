@@ -0,0 +1,85 @@
+import React, { useMemo } from 'react';
+import { computeSpendCurve } from '../lib/sensitivity';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES } from './styles';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 260;
+const PLOT = { left: 48, right: 16, top: 24, bottom: 28 };
+
+// ROI as the cardholder's total spend varies, with break-even, the
+// high-spender threshold and today's spend marked.
+const SpendCurve = ({ inputs, card }) => {
+  const { t, formatCurrency, formatPercent } = useI18n();
+  const curve = useMemo(() => computeSpendCurve(inputs, card), [inputs, card]);
+  const points = curve.points.filter(point => point.roi !== null);
+  if (points.length < 2) return null;
+
+  const top = points[points.length - 1].spend || 1;
+  const rois = points.map(point => point.roi).concat(0);
+  const minROI = Math.min(...rois);
+  const maxROI = Math.max(...rois);
+  const span = maxROI - minROI || 1;
+  const x = (spend) => PLOT.left + (spend / top) * (CHART_WIDTH - PLOT.left - PLOT.right);
+  const y = (roi) => PLOT.top + ((maxROI - roi) / span) * (CHART_HEIGHT - PLOT.top - PLOT.bottom);
+  const bottom = CHART_HEIGHT - PLOT.bottom;
+
+  const path = points.map((point, index) => (index === 0 ? 'M' : 'L') + x(point.spend) + ' ' + y(point.roi)).join(' ');
+  const current = points.find(point => point.spend === curve.currentSpend);
+  const threshold = curve.thresholdSpend !== null && curve.thresholdSpend <= top ? curve.thresholdSpend : null;
+
+  return (
+    <div className="border-8 rounded-3xl xl:col-span-2" style={{ backgroundColor: '#F8F6F0', borderColor: '#3D405B' }}>
+      <div className="p-4" style={{ backgroundColor: '#E9C46A', borderRadius: '16px 16px 0 0' }}>
+        <h3 className="text-2xl font-black text-black text-center tracking-wide"
+            style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          {t('spendCurve.title')}
+        </h3>
+      </div>
+
+      <div className="p-6 text-black" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full" role="img"
+             aria-label={t('spendCurve.chartLabel')} style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+          <line x1={PLOT.left} x2={PLOT.left} y1={PLOT.top} y2={bottom} stroke="#3D405B" strokeWidth="2" />
+          <line x1={PLOT.left} x2={CHART_WIDTH - PLOT.right} y1={bottom} y2={bottom} stroke="#3D405B" strokeWidth="2" />
+          <line x1={PLOT.left} x2={CHART_WIDTH - PLOT.right} y1={y(0)} y2={y(0)}
+                stroke="#E9C46A" strokeWidth="3" strokeDasharray="4 3" />
+
+          {threshold !== null && (
+            <g>
+              <line x1={x(threshold)} x2={x(threshold)} y1={PLOT.top} y2={bottom} stroke="#C8512F" strokeWidth="2" strokeDasharray="6 4" />
+              <text x={x(threshold)} y={PLOT.top - 8} textAnchor="middle" fontSize="11" fontWeight="900" fill="#C8512F">
+                {t('spendCurve.threshold', { amount: formatCurrency(card.highSpender.threshold) })}
+              </text>
+            </g>
+          )}
+
+          <path d={path} fill="none" stroke="#3D405B" strokeWidth="4" strokeLinejoin="round" />
+
+          {current && (
+            <g>
+              <title>{formatCurrency(current.spend) + ': ' + formatPercent(current.roi, true)}</title>
+              <circle cx={x(current.spend)} cy={y(current.roi)} r="7" fill="#E07A5F" stroke="#3D405B" strokeWidth="2" />
+              <text x={x(current.spend) + 10} y={y(current.roi) - 10} fontSize="11" fontWeight="900" fill="#000">
+                {t('spendCurve.current')} {formatPercent(current.roi, true)}
+              </text>
+            </g>
+          )}
+
+          <text x={PLOT.left - 6} y={PLOT.top + 4} textAnchor="end" fontSize="10" fill="#000">{formatPercent(maxROI, true)}</text>
+          <text x={PLOT.left - 6} y={y(0) + 4} textAnchor="end" fontSize="10" fontWeight="900" fill="#000">{formatPercent(0, true)}</text>
+          {minROI < 0 && (
+            <text x={PLOT.left - 6} y={bottom + 4} textAnchor="end" fontSize="10" fill="#000">{formatPercent(minROI, true)}</text>
+          )}
+          <text x={PLOT.left} y={CHART_HEIGHT - 8} fontSize="10" fill="#000">{formatCurrency(0)}</text>
+          <text x={x(top / 2)} y={CHART_HEIGHT - 8} textAnchor="middle" fontSize="10" fill="#000">{formatCurrency(top / 2)}</text>
+          <text x={CHART_WIDTH - PLOT.right} y={CHART_HEIGHT - 8} textAnchor="end" fontSize="10" fill="#000">{formatCurrency(top)}</text>
+        </svg>
+
+        <div className="text-xs font-bold mt-4">{t('spendCurve.footnote')}</div>
+      </div>
+    </div>
+  );
+};
+
+export default SpendCurve;
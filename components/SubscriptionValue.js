@@ -0,0 +1,72 @@
+import React from 'react';
+import { getPerceivedShare } from '../lib/roi';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const chipStyle = (active) => ({
+  backgroundColor: active ? '#E9C46A' : '#F8F6F0',
+  color: '#000000',
+  fontFamily: STATIC_STYLES.fontFamily
+});
+
+const SubscriptionValue = ({ inputs, card, onInputChange }) => {
+  const { t, tc, formatPercent } = useI18n();
+
+  if (!card.subscriptions || card.subscriptions.length === 0) return null;
+
+  return (
+    <div className="relative"
+         style={{
+           background: 'linear-gradient(135deg, #3D405B 0%, #2F3142 50%, #3D405B 100%)',
+           borderRadius: STATIC_STYLES.borderRadius32,
+           boxShadow: PANEL_SHADOW
+         }}>
+      <div className="p-8 text-white" style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        <h3 className="text-2xl font-black mb-6 tracking-wide">
+          {t('subscriptions.title')}
+        </h3>
+
+        <div className="space-y-6">
+          {card.subscriptions.map(({ key, label }) => {
+            const wouldPay = inputs[key + 'WouldPay'];
+            const haveElsewhere = inputs[key + 'HaveElsewhere'];
+            return (
+              <div key={key}>
+                <div className="flex justify-between text-sm font-black tracking-wide mb-2">
+                  <span>{tc(label)}</span>
+                  <span>{t('subscriptions.countedAt', { share: formatPercent(getPerceivedShare(inputs, key) * 100, true) })}</span>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <button type="button" onClick={() => onInputChange(key + 'WouldPay', !wouldPay)}
+                          className="p-2 font-black text-xs tracking-wider rounded-2xl"
+                          style={chipStyle(wouldPay)}>
+                    {t('subscriptions.wouldPay')}
+                  </button>
+                  <button type="button" onClick={() => onInputChange(key + 'HaveElsewhere', !haveElsewhere)}
+                          className="p-2 font-black text-xs tracking-wider rounded-2xl"
+                          style={chipStyle(haveElsewhere)}>
+                    {t('subscriptions.haveElsewhere')}
+                  </button>
+                </div>
+                {!wouldPay && !haveElsewhere && (
+                  <label className="flex items-center justify-between gap-3 mt-2 text-xs font-black">
+                    {t('subscriptions.worth')}
+                    <input
+                      type="text"
+                      value={inputs[key + 'PerceivedValue']}
+                      onChange={(e) => onInputChange(key + 'PerceivedValue', Math.min(Number(e.target.value) || 0, 100))}
+                      className="w-20 p-2 font-black text-black text-center border-4 focus:outline-none"
+                      style={{ backgroundColor: '#F8F6F0', borderColor: '#F8F6F0', borderRadius: STATIC_STYLES.borderRadius24 }}
+                    />
+                  </label>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubscriptionValue;
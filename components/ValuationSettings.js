@@ -0,0 +1,72 @@
+import React from 'react';
+import { VALUATION_PRESETS } from '../lib/valuation';
+import { useI18n } from './I18nContext';
+import { STATIC_STYLES, PANEL_SHADOW } from './styles';
+
+const ValuationSettings = ({ valuation, pointValues, onChange }) => {
+  const { t, formatCents } = useI18n();
+
+  return (
+  <div className="relative"
+       style={{
+         background: 'linear-gradient(135deg, #3D405B 0%, #2F3142 50%, #3D405B 100%)',
+         borderRadius: STATIC_STYLES.borderRadius32,
+         boxShadow: PANEL_SHADOW
+       }}>
+    <div className="p-8">
+      <h3 className="text-2xl font-black text-white mb-6 tracking-wide"
+          style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+        {t('valuation.title')}
+      </h3>
+
+      <div className="grid grid-cols-2 gap-3">
+        {Object.keys(VALUATION_PRESETS).map(key => (
+          <button key={key} type="button"
+                  onClick={() => onChange({ ...valuation, preset: key })}
+                  className="p-3 font-black text-xs tracking-wider rounded-2xl transition-all duration-300 hover:scale-105"
+                  style={{
+                    backgroundColor: valuation.preset === key ? '#E9C46A' : '#F8F6F0',
+                    color: '#000000',
+                    fontFamily: STATIC_STYLES.fontFamily
+                  }}>
+            {t('valuation.preset.' + key)}
+          </button>
+        ))}
+      </div>
+
+      {valuation.preset === 'custom' && (
+        <div className="mt-6">
+          <label className="block text-sm font-black text-white mb-3 tracking-wide"
+                 style={{ fontFamily: STATIC_STYLES.fontFamily }}>
+            {t('valuation.centsPerPoint')}
+          </label>
+          <input
+            type="text"
+            value={valuation.customCents}
+            onChange={(e) => onChange({ ...valuation, customCents: e.target.value })}
+            className="w-full p-4 text-2xl font-black text-black border-4 focus:outline-none"
+            style={{
+              backgroundColor: '#F8F6F0',
+              borderColor: '#F8F6F0',
+              fontFamily: STATIC_STYLES.fontFamily,
+              borderRadius: STATIC_STYLES.borderRadius24
+            }}
+            placeholder="1.75"
+          />
+        </div>
+      )}
+
+      <div className="mt-6 text-white p-4 rounded-2xl font-black text-sm tracking-wide"
+           style={{ backgroundColor: '#C8512F', fontFamily: STATIC_STYLES.fontFamily }}>
+        {t('valuation.summary', {
+          avg: formatCents(pointValues.avg),
+          min: formatCents(pointValues.min),
+          max: formatCents(pointValues.max)
+        })}
+      </div>
+    </div>
+  </div>
+  );
+};
+
+export default ValuationSettings;
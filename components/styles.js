@@ -0,0 +1,13 @@
+// Shared inline-style constants for the calculator panels.
+export const STATIC_STYLES = {
+  fontFamily: 'Futura, "Trebuchet MS", Arial, sans-serif',
+  borderRadius32: '32px',
+  borderRadius24: '24px'
+};
+
+export const PANEL_SHADOW = '0 20px 40px rgba(0,0,0,0.1), 0 8px 16px rgba(0,0,0,0.1)';
+
+// Breakdown line colours, shared by the list dots and the charts.
+const LINE_COLORS = ['#E9C46A', '#C8512F', '#E07A5F'];
+
+export const breakdownColor = (key, index) => (key === 'highSpender' ? '#E9C46A' : LINE_COLORS[index % LINE_COLORS.length]);
@@ -0,0 +1,91 @@
+// Baseline card for opportunity cost. Spend put on the card would have
+// earned something anyway on a simple cash-back card, so with a baseline
+// selected the points line only counts the value earned on top of it. The
+// baseline is applied to every card, so comparisons stay like for like and
+// cancelling (moving the spend to the baseline) nets to zero.
+
+import { getSpendingKeys } from './cards/index.js';
+
+export const BASELINE_PRESETS = {
+  none: { label: 'NONE' },
+  flat2: { label: 'NO-FEE 2% CASH BACK', percent: 2 },
+  custom: { label: 'CUSTOM PER CATEGORY' }
+};
+
+export const DEFAULT_BASELINE = { preset: 'none', customPercent: {} };
+
+export const DEFAULT_CUSTOM_PERCENT = 2;
+
+export const BASELINE_STORAGE_KEY = 'valoretti.baseline';
+
+// Dollars earned per dollar spent in each spending category, or null when
+// no baseline is selected.
+export const resolveBaselineRates = (baseline, card) => {
+  const preset = BASELINE_PRESETS[baseline?.preset];
+  if (!preset || baseline.preset === 'none') return null;
+
+  const rates = {};
+  getSpendingKeys(card).forEach(key => {
+    const percent = baseline.preset === 'custom'
+      ? Number(baseline.customPercent?.[key] ?? DEFAULT_CUSTOM_PERCENT)
+      : preset.percent;
+    rates[key] = isFinite(percent) && percent > 0 ? percent / 100 : 0;
+  });
+  return rates;
+};
+
+// The card with a `baseline` part on its earned-points line and a baseline
+// rate for authorized users' spend, ready to hand to computeROI. Bonus lines
+// on the same spend (anniversary points) are left alone so the baseline is
+// only taken off once.
+export const applyBaseline = (card, baseline) => {
+  const rates = resolveBaselineRates(baseline, card);
+  if (!rates) return card;
+
+  const { authorizedUsers } = card;
+  return {
+    ...card,
+    benefits: card.benefits.map(benefit => (
+      benefit.parts.some(part => part.kind === 'earn')
+        ? {
+            ...benefit,
+            details: '{points} points earned, {value} over baseline',
+            parts: [...benefit.parts, { kind: 'baseline', rates }]
+          }
+        : benefit
+    )),
+    ...(authorizedUsers
+      ? { authorizedUsers: { ...authorizedUsers, baselineRate: rates[authorizedUsers.earnKey] || 0 } }
+      : {})
+  };
+};
+
+// Incremental dollars per category: what the card earns on the spend minus
+// what the baseline would. Negative rows are where the baseline wins.
+export const getIncrementalEarnings = (inputs, card, baseline) => {
+  const rates = resolveBaselineRates(baseline, card) || {};
+  return card.earn.map(category => {
+    const spend = inputs[category.key] || 0;
+    const cardValue = spend * category.multiplier * card.pointValues.avg;
+    const baselineValue = spend * (rates[category.key] || 0);
+    return { category, spend, cardValue, baselineValue, incremental: cardValue - baselineValue };
+  });
+};
+
+export const loadBaseline = (storage) => {
+  try {
+    const parsed = JSON.parse(storage?.getItem(BASELINE_STORAGE_KEY) || 'null');
+    return parsed && BASELINE_PRESETS[parsed.preset] ? { ...DEFAULT_BASELINE, ...parsed } : DEFAULT_BASELINE;
+  } catch (error) {
+    console.error('Failed to load baseline:', error);
+    return DEFAULT_BASELINE;
+  }
+};
+
+export const saveBaseline = (storage, baseline) => {
+  try {
+    storage?.setItem(BASELINE_STORAGE_KEY, JSON.stringify(baseline));
+  } catch (error) {
+    console.error('Failed to save baseline:', error);
+  }
+};
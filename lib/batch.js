@@ -0,0 +1,71 @@
+// Batch mode: one spreadsheet row per person, priced in one go. The CSV has
+// a `name` column plus any of the input keys as columns; blank cells and
+// missing columns take the input's default. Shared by the calculator UI and
+// bin/valoretti.mjs so both report the same numbers.
+
+import { DEFAULT_CARD, getDefaultInputs } from './cards/index.js';
+import { parseCSVRecords, toCSV } from './csv.js';
+import { computeROI, getRecommendation } from './roi.js';
+import { checkInputs } from './validation.js';
+
+export const NAME_COLUMN = 'name';
+
+const BOOLEAN_CELLS = { true: true, yes: true, y: true, false: false, no: false, n: false };
+
+// Cells are text; turn each into the type its input expects so checkInputs
+// can report what is actually wrong with it.
+const parseCell = (cell, defaultValue) => {
+  const text = cell.replace(/[$,\s]/g, '');
+  if (typeof defaultValue === 'boolean' && text.toLowerCase() in BOOLEAN_CELLS) {
+    return BOOLEAN_CELLS[text.toLowerCase()];
+  }
+  const value = Number(text);
+  return text !== '' && isFinite(value) ? value : cell;
+};
+
+// Returns [{ row, name, inputs, errors }]; `row` is the 1-based spreadsheet
+// line (the header is line 1) so errors can point at it.
+export const parseBatchCSV = (text, card = DEFAULT_CARD) => {
+  const { headers, records } = parseCSVRecords(text);
+  if (!headers.includes(NAME_COLUMN)) {
+    throw new Error('Missing a "' + NAME_COLUMN + '" column');
+  }
+
+  const defaults = getDefaultInputs(card);
+  return records.map((record, index) => {
+    const raw = {};
+    headers.forEach(header => {
+      if (header === NAME_COLUMN || record[header] === '') return;
+      raw[header] = parseCell(record[header], defaults[header]);
+    });
+    const { inputs, errors } = checkInputs(raw, card);
+    return { row: index + 2, name: record[NAME_COLUMN] || 'Row ' + (index + 2), inputs, errors };
+  });
+};
+
+// Prices every valid row. Rows with errors keep them and get no results.
+export const evaluateBatch = (rows, card = DEFAULT_CARD) => rows.map(row => {
+  if (Object.keys(row.errors).length > 0) return { ...row, results: null, recommendation: null };
+  const results = computeROI(row.inputs, card);
+  return { ...row, results, recommendation: getRecommendation(results) };
+});
+
+export const batchVerdict = (evaluation) => {
+  if (!evaluation.results) return 'ERROR';
+  return evaluation.recommendation.recommended ? 'KEEP' : 'NOT RECOMMENDED';
+};
+
+export const formatBatchErrors = (errors) =>
+  Object.entries(errors).map(([key, message]) => key + ' ' + message).join('; ');
+
+export const batchToCSV = (evaluations) => toCSV([
+  ['name', 'totalValue', 'totalCost', 'net', 'roi', 'minROI', 'maxROI', 'verdict', 'errors'],
+  ...evaluations.map(evaluation => {
+    const { results, recommendation } = evaluation;
+    const roi = (value) => (value === null ? '' : value.toFixed(1));
+    return results
+      ? [evaluation.name, results.totalValue.toFixed(2), results.totalCost.toFixed(2), recommendation.net.toFixed(2),
+        roi(results.roi), roi(results.minROI), roi(results.maxROI), batchVerdict(evaluation), '']
+      : [evaluation.name, '', '', '', '', '', '', batchVerdict(evaluation), formatBatchErrors(evaluation.errors)];
+  })
+]);
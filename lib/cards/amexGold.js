@@ -0,0 +1,61 @@
+// American Express Gold. Its coupon-style credits have no matching input in
+// the shared profile, so they are `fixed` amounts counted at half their face
+// value, anywhere from none to all of it, since many people never use them.
+
+const amexGold = {
+  id: 'amex-gold',
+  name: 'American Express Gold',
+  version: '2024-07-25',
+  annualFee: 325,
+
+  pointValues: {
+    min: 0.010,
+    max: 0.020,
+    avg: 0.015
+  },
+  pointsProgram: 'membership-rewards',
+
+  earn: [
+    { key: 'chaseTravel', label: 'PORTAL TRAVEL', multiplier: 3 },
+    { key: 'flightsHotels', label: 'FLIGHTS', multiplier: 3 },
+    { key: 'dining', label: 'RESTAURANTS', multiplier: 4 },
+    { key: 'otherSpending', label: 'EVERYTHING ELSE', multiplier: 1 }
+  ],
+
+  // Authorized users are free.
+  authorizedUsers: { fee: 0, maxUsers: 3, earnKey: 'otherSpending', loungeVisitValue: 0 },
+
+  inputs: [],
+
+  benefits: [
+    {
+      key: 'points',
+      details: '{points} points earned',
+      showWhenZero: true,
+      parts: [{ kind: 'earn' }]
+    },
+    {
+      key: 'diningCredit',
+      details: '{value} dining and Resy credits',
+      range: { min: 0, max: 2 },
+      parts: [
+        { kind: 'fixed', amount: 10 * 12, usage: 0.5 },
+        { kind: 'fixed', amount: 50 * 2, usage: 0.5 }
+      ]
+    },
+    {
+      key: 'uberCash',
+      details: '{value} Uber Cash',
+      range: { min: 0, max: 2 },
+      parts: [{ kind: 'fixed', amount: 10 * 12, usage: 0.5 }]
+    },
+    {
+      key: 'dunkinCredit',
+      details: '{value} Dunkin\' credit',
+      range: { min: 0, max: 2 },
+      parts: [{ kind: 'fixed', amount: 7 * 12, usage: 0.5 }]
+    }
+  ]
+};
+
+export default amexGold;
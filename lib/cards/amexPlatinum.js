@@ -0,0 +1,74 @@
+// American Express Platinum. Like amexGold.js, credits without a matching
+// input are `fixed` amounts counted at half their face value.
+
+const amexPlatinum = {
+  id: 'amex-platinum',
+  name: 'American Express Platinum',
+  version: '2025-09-18',
+  annualFee: 895,
+
+  pointValues: {
+    min: 0.010,
+    max: 0.020,
+    avg: 0.015
+  },
+  pointsProgram: 'membership-rewards',
+
+  earn: [
+    { key: 'chaseTravel', label: 'AMEX TRAVEL', multiplier: 5 },
+    { key: 'flightsHotels', label: 'FLIGHTS', multiplier: 5 },
+    { key: 'dining', label: 'DINING', multiplier: 1 },
+    { key: 'otherSpending', label: 'EVERYTHING ELSE', multiplier: 1 }
+  ],
+
+  // Each Platinum authorized user gets their own lounge access.
+  authorizedUsers: { fee: 195, maxUsers: 3, earnKey: 'otherSpending', loungeVisitValue: 35 },
+
+  inputs: [],
+
+  benefits: [
+    {
+      key: 'points',
+      details: '{points} points earned',
+      showWhenZero: true,
+      parts: [{ kind: 'earn' }]
+    },
+    {
+      key: 'hotelCredit',
+      details: '{value} Fine Hotels + Resorts credit',
+      range: { min: 0, max: 2 },
+      parts: [{ kind: 'fixed', amount: 300 * 2, usage: 0.5 }]
+    },
+    {
+      key: 'airlineCredit',
+      details: '{value} airline fee credit',
+      range: { min: 0, max: 2 },
+      parts: [{ kind: 'fixed', amount: 200, usage: 0.5 }]
+    },
+    {
+      key: 'uberCash',
+      details: '{value} Uber Cash',
+      range: { min: 0, max: 2 },
+      parts: [{ kind: 'fixed', amount: 15 * 11 + 35, usage: 0.5 }]
+    },
+    {
+      key: 'resyCredit',
+      details: '{value} Resy credit',
+      range: { min: 0, max: 2 },
+      parts: [{ kind: 'fixed', amount: 100 * 4, usage: 0.5 }]
+    },
+    {
+      key: 'priorityPass',
+      details: '{input} lounge visits',
+      range: { min: 0.5, max: 1.5 },
+      parts: [{ kind: 'perUnit', input: 'priorityPassVisits', rate: 35 }]
+    },
+    {
+      key: 'globalEntry',
+      details: 'Global Entry credit ($120 every 4 years)',
+      parts: [{ kind: 'toggle', input: 'globalEntryValue', amount: 120 / 4, lumpSum: { amount: 120, everyYears: 4 } }]
+    }
+  ]
+};
+
+export default amexPlatinum;
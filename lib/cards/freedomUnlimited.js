@@ -0,0 +1,41 @@
+// Chase Freedom Unlimited: the no-fee 1.5x card. Held on its own its points
+// only cash out at 1¢.
+
+const freedomUnlimited = {
+  id: 'freedom-unlimited',
+  name: 'Chase Freedom Unlimited',
+  version: '2025-06-23',
+  annualFee: 0,
+
+  pointValues: {
+    min: 0.01,
+    max: 0.01,
+    avg: 0.01
+  },
+  pointsProgram: 'ultimate-rewards',
+  // Without a Sapphire card to combine with, its points only cash out.
+  maxPointValue: 0.01,
+
+  earn: [
+    { key: 'chaseTravel', label: 'CHASE TRAVEL', multiplier: 5 },
+    { key: 'flightsHotels', label: 'FLIGHTS & HOTELS', multiplier: 1.5 },
+    { key: 'dining', label: 'DINING', multiplier: 3 },
+    { key: 'otherSpending', label: 'EVERYTHING ELSE', multiplier: 1.5 }
+  ],
+
+  // Authorized users are free.
+  authorizedUsers: { fee: 0, maxUsers: 3, earnKey: 'otherSpending', loungeVisitValue: 0 },
+
+  inputs: [],
+
+  benefits: [
+    {
+      key: 'points',
+      details: '{points} points earned',
+      showWhenZero: true,
+      parts: [{ kind: 'earn' }]
+    }
+  ]
+};
+
+export default freedomUnlimited;
@@ -0,0 +1,162 @@
+// Card catalog. Each card file exports one object:
+//
+//   id, name, version   - version is the date of the terms it reflects
+//   annualFee           - dollars per year
+//   pointValues         - { min, max, avg } dollars per point
+//   pointsProgram       - id of the rewards currency the card earns; a point
+//                         valuation chosen for one card applies to every card
+//                         earning the same currency (lib/valuation.js)
+//   maxPointValue       - optional ceiling on any valuation, for cards whose points
+//                         can't reach the program's better redemptions on their own
+//   earn                - [{ key, label, multiplier }] keyed by spending input
+//   highSpender         - optional { threshold, qualifyingSpend, window } unlocking
+//                         `requires: 'highSpender'` lines; `qualifyingSpend` lists the
+//                         earn keys that count toward the threshold (default: all)
+//   productChanges      - optional card ids the card can be downgraded to
+//   authorizedUsers     - optional { fee, maxUsers, earnKey, loungeVisitValue }: each
+//                         authorized user adds `fee` to the cost and a breakdown line
+//                         for their spend (earned like `earnKey`) and lounge visits;
+//                         lib/baseline.js adds `baselineRate`, the baseline card's
+//                         dollars per dollar of `earnKey` spend
+//   inputs              - form fields for the card's own panels; `max` is a hard
+//                         limit, `sweepMax` just the top of sensitivity sweeps
+//   subscriptions       - optional [{ key, label }] subscription perks; each reads the
+//                         inputs `${key}WouldPay`, `${key}HaveElsewhere` and
+//                         `${key}PerceivedValue` (percent)
+//   benefits            - [{ key, details, parts, range, distribution, showWhenZero, requires }];
+//                         `details` is an English template over {value}, {points} and
+//                         {input}, translated in lib/i18n
+//   trackedCredits      - optional [{ key, label, input, period, amount }] credits the
+//                         tracker logs per 'monthly', 'semiannual' or 'annual' period;
+//                         `input` is the benefit input the logged dollars replace, or
+//                         `inputs` one input per period for period-bucketed credits
+//
+// Benefit part kinds (evaluated in lib/roi.js):
+//   earn         - points from every `earn` category at its multiplier
+//   spendPoints  - total spending * rate points
+//   credit       - dollar input clamped to [0, cap]
+//   periodCredit - one dollar input per period in `inputs` (halves, months),
+//                  each clamped to [0, cap]; unused amounts don't roll over
+//   perUnit      - input * rate dollars, optionally capped
+//   toggle       - flat `amount` dollars when the boolean input is on; a number
+//                  between 0 and 1 takes that share of it (tracked usage)
+//   fixed        - flat `amount` dollars every year, no input, counted at `usage`:
+//                  the share a typical cardholder redeems (default 1). Coupon
+//                  credits the shared profile has no input for take 0.5 with a
+//                  range of { min: 0, max: 2 }, i.e. anywhere from none to all,
+//                  and never decide a switch in lib/comparison.js on their own
+//   bonusPoints  - min(input, maxInput) * rate points
+//   annualPoints - flat `points` every year, no input
+//   baseline     - minus inputs[key] * `rates[key]` dollars per spend input in `rates`:
+//                  what the same spend would earn on a baseline card (added by
+//                  lib/baseline.js)
+// `range` scales the line's value into its min/max; lines without one take
+// their range from `pointValues`.
+// `distribution` describes the same uncertainty for lib/simulation.js as a
+// factor on the line's value: { type: 'triangular', min, mode, max },
+// { type: 'uniform', min, max } or { type: 'bernoulli', p } (used in full
+// or not at all). Without one, the simulation uses triangular(range.min, 1,
+// range.max), or no factor when the line has no range.
+//
+// A part with `perceived: key` has its cash scaled by the user's perceived
+// value of that subscription: nothing if they already have it elsewhere, all
+// of it if they would pay anyway, otherwise `${key}PerceivedValue` percent.
+// Lines with such parts also report their `retail` value.
+//
+// A part may also carry `lumpSum: { amount, everyYears }` when its `amount`
+// is an amortized reimbursement; multi-year projections book the lump sum in
+// the year it is used instead.
+//
+// A credit part whose input other parts also read (Lyft rides drive both the
+// credit and the bonus points) names a `trackedInput`: when that input is set,
+// the part's dollars come from it, capped, and the shared input is left alone.
+// The credit tracker writes logged dollars there instead of into `input`.
+//
+// Every card prices the same shared spending and benefit input keys, so one
+// profile can be run against all of them.
+
+import amexGold from './amexGold.js';
+import amexPlatinum from './amexPlatinum.js';
+import freedomUnlimited from './freedomUnlimited.js';
+import sapphirePreferred from './sapphirePreferred.js';
+import sapphireReserve from './sapphireReserve.js';
+import ventureX from './ventureX.js';
+
+export const CARDS = {
+  [sapphireReserve.id]: sapphireReserve,
+  [sapphirePreferred.id]: sapphirePreferred,
+  [freedomUnlimited.id]: freedomUnlimited,
+  [amexGold.id]: amexGold,
+  [amexPlatinum.id]: amexPlatinum,
+  [ventureX.id]: ventureX
+};
+
+export const DEFAULT_CARD = sapphireReserve;
+
+export const getCard = (id) => CARDS[id] || null;
+
+export const getSpendingKeys = (card = DEFAULT_CARD) => card.earn.map(category => category.key);
+
+export const getDefaultInputs = (card = DEFAULT_CARD) => {
+  const defaults = {};
+  card.earn.forEach(category => {
+    defaults[category.key] = 0;
+  });
+  card.inputs.forEach(input => {
+    defaults[input.key] = input.default;
+  });
+  return defaults;
+};
+
+export const getPanelInputs = (card, panel, type) =>
+  card.inputs.filter(input => input.panel === panel && (!type || input.type === type));
+
+// Input keys of the nth authorized user (1-based), shared by every card.
+export const authorizedUserKey = (n, field) => 'authorizedUser' + n + field;
+
+export const getAuthorizedUserCount = (inputs, card) => {
+  if (!card.authorizedUsers) return 0;
+  const count = Math.floor(Number(inputs?.authorizedUsers) || 0);
+  return Math.min(Math.max(count, 0), card.authorizedUsers.maxUsers);
+};
+
+// One breakdown line per authorized-user slot, built from the card's
+// `authorizedUsers` terms; lines past the user count are skipped by the engine.
+export const getAuthorizedUserBenefits = (card) => {
+  if (!card.authorizedUsers) return [];
+  const { maxUsers, earnKey, loungeVisitValue, baselineRate } = card.authorizedUsers;
+  const multiplier = card.earn.find(category => category.key === earnKey)?.multiplier ?? 1;
+
+  return Array.from({ length: maxUsers }, (_, index) => {
+    const n = index + 1;
+    const parts = [{ kind: 'bonusPoints', input: authorizedUserKey(n, 'Spend'), rate: multiplier }];
+    if (baselineRate) {
+      parts.push({ kind: 'baseline', rates: { [authorizedUserKey(n, 'Spend')]: baselineRate } });
+    }
+    if (loungeVisitValue) {
+      parts.push({ kind: 'perUnit', input: authorizedUserKey(n, 'LoungeVisits'), rate: loungeVisitValue });
+    }
+    return {
+      key: 'authorizedUser' + n,
+      details: '{points} points earned' + (loungeVisitValue ? ' plus lounge visits' : ''),
+      authorizedUser: n,
+      // Shown for every user on the account, even when the baseline wins
+      showWhenZero: true,
+      parts
+    };
+  });
+};
+
+// Largest sensible value for a numeric input, used to bound solvers and
+// sweeps. Spending categories have no natural limit and return null.
+export const getInputLimit = (card, inputKey) => {
+  const input = (card.inputs || []).find(candidate => candidate.key === inputKey);
+  return input ? input.max ?? input.sweepMax ?? null : null;
+};
+
+export const getInputLabel = (card, inputKey) => {
+  const category = card.earn.find(candidate => candidate.key === inputKey);
+  if (category) return category.label;
+  const input = (card.inputs || []).find(candidate => candidate.key === inputKey);
+  return input ? input.label : inputKey.replace(/([A-Z])/g, ' $1').trim().toUpperCase();
+};
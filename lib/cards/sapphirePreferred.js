@@ -0,0 +1,61 @@
+// Chase Sapphire Preferred terms, in the same format as sapphireReserve.js.
+// Spending uses the shared input keys so any profile can be priced here.
+
+const sapphirePreferred = {
+  id: 'sapphire-preferred',
+  name: 'Chase Sapphire Preferred',
+  version: '2025-06-23',
+  annualFee: 95,
+
+  pointValues: {
+    min: 0.0100,
+    max: 0.0175,
+    avg: 0.0125
+  },
+  pointsProgram: 'ultimate-rewards',
+
+  earn: [
+    { key: 'chaseTravel', label: 'CHASE TRAVEL', multiplier: 5 },
+    { key: 'flightsHotels', label: 'OTHER TRAVEL', multiplier: 2 },
+    { key: 'dining', label: 'DINING', multiplier: 3 },
+    { key: 'otherSpending', label: 'EVERYTHING ELSE', multiplier: 1 }
+  ],
+
+  // Authorized users are free.
+  authorizedUsers: { fee: 0, maxUsers: 3, earnKey: 'otherSpending', loungeVisitValue: 0 },
+
+  inputs: [],
+
+  benefits: [
+    {
+      key: 'points',
+      details: '{points} points earned',
+      showWhenZero: true,
+      parts: [{ kind: 'earn' }]
+    },
+    {
+      key: 'anniversaryBonus',
+      details: '{points} anniversary points (10% of spend)',
+      parts: [{ kind: 'spendPoints', rate: 0.1 }]
+    },
+    {
+      key: 'hotelCredit',
+      details: '{value} Chase Travel hotel credit',
+      range: { min: 0, max: 2 },
+      parts: [{ kind: 'fixed', amount: 50, usage: 0.5 }]
+    },
+    {
+      key: 'dashpass',
+      details: '{input} months of DashPass',
+      parts: [{ kind: 'perUnit', input: 'dashpassUsage', rate: 9.99, perceived: 'dashpass' }]
+    },
+    {
+      key: 'doorDashCredits',
+      details: 'DoorDash credits: {value}/year',
+      range: { min: 0.7, max: 1 },
+      parts: [{ kind: 'toggle', input: 'nonRestaurantOrders', amount: 10 * 12 }]
+    }
+  ]
+};
+
+export default sapphirePreferred;
@@ -0,0 +1,204 @@
+// Chase Sapphire Reserve terms. When Chase changes the card, update the
+// numbers here and bump `version`; the engine and the input panels read
+// everything from this object. The format is described in ./index.js.
+
+const sapphireReserve = {
+  id: 'sapphire-reserve',
+  name: 'Chase Sapphire Reserve',
+  version: '2025-06-25',
+  annualFee: 795,
+
+  pointValues: {
+    min: 0.015,
+    max: 0.020,
+    avg: 0.0175
+  },
+  pointsProgram: 'ultimate-rewards',
+
+  earn: [
+    { key: 'chaseTravel', label: 'CHASE TRAVEL', multiplier: 8 },
+    { key: 'flightsHotels', label: 'FLIGHTS & HOTELS', multiplier: 4 },
+    { key: 'dining', label: 'DINING', multiplier: 3 },
+    { key: 'otherSpending', label: 'EVERYTHING ELSE', multiplier: 1 }
+  ],
+
+  // $75K of purchases in a calendar year unlocks the perks for the rest of
+  // that year and the whole of the next. Every earn category is a purchase.
+  highSpender: {
+    threshold: 75000,
+    qualifyingSpend: ['chaseTravel', 'flightsHotels', 'dining', 'otherSpending'],
+    window: 'CALENDAR YEAR'
+  },
+
+  // Each authorized user gets their own Priority Pass Select membership.
+  authorizedUsers: { fee: 195, maxUsers: 3, earnKey: 'otherSpending', loungeVisitValue: 35 },
+
+  // Cards Chase will product-change the Reserve into without a new application.
+  productChanges: ['sapphire-preferred', 'freedom-unlimited'],
+
+  inputs: [
+    { key: 'travelCreditUsage', panel: 'travel', type: 'number', label: 'TRAVEL CREDIT', default: 300, max: 300, symbol: '$' },
+    { key: 'diningCreditH1', panel: 'travel', type: 'number', label: 'DINING CREDIT JAN–JUN', default: 150, max: 150, symbol: '$' },
+    { key: 'diningCreditH2', panel: 'travel', type: 'number', label: 'DINING CREDIT JUL–DEC', default: 150, max: 150, symbol: '$' },
+    { key: 'editStaysValue', panel: 'travel', type: 'number', label: 'EDIT STAYS', default: 0, sweepMax: 500, symbol: '$' },
+    { key: 'stubhubH1', panel: 'travel', type: 'number', label: 'STUBHUB JAN–JUN', default: 0, max: 150, symbol: '$' },
+    { key: 'stubhubH2', panel: 'travel', type: 'number', label: 'STUBHUB JUL–DEC', default: 0, max: 150, symbol: '$' },
+    { key: 'priorityPassVisits', panel: 'travel', type: 'number', label: 'PRIORITY PASS VISITS', default: 0, sweepMax: 24, symbol: '#' },
+    { key: 'globalEntryValue', panel: 'travel', type: 'toggle', label: 'GLOBAL ENTRY CREDIT', default: false },
+
+    { key: 'dashpassUsage', panel: 'services', type: 'number', label: 'DASHPASS MONTHS', default: 12, max: 12, symbol: '#' },
+    { key: 'lyftRides', panel: 'services', type: 'number', label: 'LYFT RIDES/MONTH', default: 0, sweepMax: 24, symbol: '#' },
+    { key: 'pelotonEquipment', panel: 'services', type: 'number', label: 'PELOTON EQUIPMENT', default: 0, sweepMax: 5000, symbol: '$' },
+    { key: 'restaurantOrders', panel: 'services', type: 'toggle', label: '$5 DOORDASH RESTAURANT CREDIT', period: 'monthly', default: false },
+    { key: 'nonRestaurantOrders', panel: 'services', type: 'toggle', label: '$20 DOORDASH NON-RESTAURANT CREDIT', period: 'monthly', default: false },
+    { key: 'pelotonMembership', panel: 'services', type: 'toggle', label: '$120 PELOTON MEMBERSHIP', period: 'annual', default: false },
+    { key: 'appleServices', panel: 'services', type: 'toggle', label: '$215 APPLE SERVICES', period: 'annual', default: false },
+
+    { key: 'dashpassWouldPay', panel: 'subscriptions', type: 'toggle', label: 'WOULD PAY FOR DASHPASS ANYWAY', default: true },
+    { key: 'dashpassHaveElsewhere', panel: 'subscriptions', type: 'toggle', label: 'ALREADY HAVE DASHPASS ELSEWHERE', default: false },
+    { key: 'dashpassPerceivedValue', panel: 'subscriptions', type: 'number', label: 'DASHPASS WORTH TO YOU', default: 50, max: 100, symbol: '%' },
+    { key: 'appleWouldPay', panel: 'subscriptions', type: 'toggle', label: 'WOULD PAY FOR APPLE TV+ & MUSIC ANYWAY', default: true },
+    { key: 'appleHaveElsewhere', panel: 'subscriptions', type: 'toggle', label: 'ALREADY HAVE APPLE TV+ & MUSIC ELSEWHERE', default: false },
+    { key: 'applePerceivedValue', panel: 'subscriptions', type: 'number', label: 'APPLE TV+ & MUSIC WORTH TO YOU', default: 50, max: 100, symbol: '%' },
+    { key: 'pelotonWouldPay', panel: 'subscriptions', type: 'toggle', label: 'WOULD PAY FOR PELOTON ANYWAY', default: true },
+    { key: 'pelotonHaveElsewhere', panel: 'subscriptions', type: 'toggle', label: 'ALREADY HAVE PELOTON ELSEWHERE', default: false },
+    { key: 'pelotonPerceivedValue', panel: 'subscriptions', type: 'number', label: 'PELOTON WORTH TO YOU', default: 50, max: 100, symbol: '%' },
+
+    { key: 'shopsCreditUsage', panel: 'highSpender', type: 'number', label: 'SHOPS CREDIT USED', default: 0, max: 250, symbol: '$' },
+    { key: 'southwestCreditUsage', panel: 'highSpender', type: 'number', label: 'SOUTHWEST CREDIT USED', default: 0, max: 500, symbol: '$' },
+    { key: 'southwestFlights', panel: 'highSpender', type: 'number', label: 'SOUTHWEST FLIGHTS/YEAR (A-LIST)', default: 0, sweepMax: 20, symbol: '#' },
+    { key: 'ihgNights', panel: 'highSpender', type: 'number', label: 'IHG NIGHTS/YEAR (DIAMOND)', default: 0, sweepMax: 30, symbol: '#' },
+
+    { key: 'authorizedUsers', panel: 'household', type: 'number', label: 'AUTHORIZED USERS', default: 0, max: 3, symbol: '#' },
+    { key: 'authorizedUser1Spend', panel: 'household', type: 'number', label: 'USER 1 ANNUAL SPEND', default: 0, sweepMax: 50000, symbol: '$' },
+    { key: 'authorizedUser1LoungeVisits', panel: 'household', type: 'number', label: 'USER 1 LOUNGE VISITS', default: 0, sweepMax: 24, symbol: '#' },
+    { key: 'authorizedUser2Spend', panel: 'household', type: 'number', label: 'USER 2 ANNUAL SPEND', default: 0, sweepMax: 50000, symbol: '$' },
+    { key: 'authorizedUser2LoungeVisits', panel: 'household', type: 'number', label: 'USER 2 LOUNGE VISITS', default: 0, sweepMax: 24, symbol: '#' },
+    { key: 'authorizedUser3Spend', panel: 'household', type: 'number', label: 'USER 3 ANNUAL SPEND', default: 0, sweepMax: 50000, symbol: '$' },
+    { key: 'authorizedUser3LoungeVisits', panel: 'household', type: 'number', label: 'USER 3 LOUNGE VISITS', default: 0, sweepMax: 24, symbol: '#' },
+
+    { key: 'pointsBalance', panel: 'productChange', type: 'number', label: 'CURRENT POINTS BALANCE', default: 0, symbol: '#' }
+  ],
+
+  trackedCredits: [
+    { key: 'travel', label: 'TRAVEL CREDIT', input: 'travelCreditUsage', period: 'annual', amount: 300 },
+    { key: 'dining', label: 'DINING CREDIT', inputs: ['diningCreditH1', 'diningCreditH2'], period: 'semiannual', amount: 150 },
+    { key: 'editStays', label: 'EDIT STAYS', input: 'editStaysValue', period: 'semiannual', amount: 250 },
+    { key: 'stubhub', label: 'STUBHUB', inputs: ['stubhubH1', 'stubhubH2'], period: 'semiannual', amount: 150 },
+    { key: 'doorDashRestaurant', label: 'DOORDASH RESTAURANT', input: 'restaurantOrders', period: 'monthly', amount: 5 },
+    { key: 'doorDashNonRestaurant', label: 'DOORDASH NON-RESTAURANT', input: 'nonRestaurantOrders', period: 'monthly', amount: 20 },
+    { key: 'lyft', label: 'LYFT', input: 'lyftRides', period: 'monthly', amount: 10 },
+    { key: 'pelotonMembership', label: 'PELOTON MEMBERSHIP', input: 'pelotonMembership', period: 'monthly', amount: 10 }
+  ],
+
+  // Subscription perks priced at what they are worth to the user rather than
+  // retail; parts carry `perceived: key` to pick up the answers below.
+  subscriptions: [
+    { key: 'dashpass', label: 'DASHPASS' },
+    { key: 'apple', label: 'APPLE TV+ & MUSIC' },
+    { key: 'peloton', label: 'PELOTON MEMBERSHIP' }
+  ],
+
+  benefits: [
+    {
+      key: 'points',
+      details: '{points} points earned',
+      showWhenZero: true,
+      parts: [{ kind: 'earn' }]
+    },
+    {
+      key: 'travelCredit',
+      details: '{value} travel credit used',
+      distribution: { type: 'triangular', min: 0.9, mode: 1, max: 1 },
+      showWhenZero: true,
+      parts: [{ kind: 'credit', input: 'travelCreditUsage', cap: 300 }]
+    },
+    {
+      key: 'diningCredit',
+      details: '{value} dining credit over both halves',
+      distribution: { type: 'triangular', min: 0.6, mode: 1, max: 1 },
+      showWhenZero: true,
+      parts: [{ kind: 'periodCredit', inputs: ['diningCreditH1', 'diningCreditH2'], cap: 150 }]
+    },
+    {
+      key: 'editCredit',
+      details: '{value} Edit stays credit',
+      distribution: { type: 'bernoulli', p: 0.8 },
+      parts: [{ kind: 'credit', input: 'editStaysValue', cap: 500 }]
+    },
+    {
+      key: 'stubhubCredit',
+      details: '{value} StubHub credit',
+      distribution: { type: 'triangular', min: 0.5, mode: 1, max: 1 },
+      parts: [{ kind: 'periodCredit', inputs: ['stubhubH1', 'stubhubH2'], cap: 150 }]
+    },
+    {
+      key: 'dashpass',
+      details: '{input} months of DashPass',
+      parts: [{ kind: 'perUnit', input: 'dashpassUsage', rate: 9.99, perceived: 'dashpass' }]
+    },
+    {
+      key: 'doorDashCredits',
+      details: 'DoorDash credits: {value}/year',
+      distribution: { type: 'triangular', min: 0.7, mode: 1, max: 1 },
+      range: { min: 0.7, max: 1 },
+      parts: [
+        { kind: 'toggle', input: 'restaurantOrders', amount: 5 * 12 },
+        { kind: 'toggle', input: 'nonRestaurantOrders', amount: 2 * 10 * 12 }
+      ]
+    },
+    {
+      key: 'lyft',
+      details: 'Lyft credits and bonus points',
+      distribution: { type: 'triangular', min: 0.7, mode: 1, max: 1 },
+      parts: [
+        { kind: 'perUnit', input: 'lyftRides', rate: 10, cap: 120, trackedInput: 'lyftCreditTracked' },
+        { kind: 'bonusPoints', input: 'lyftRides', rate: 20 * 4 }
+      ]
+    },
+    {
+      key: 'peloton',
+      details: 'Peloton benefits',
+      distribution: { type: 'triangular', min: 0.8, mode: 1, max: 1.2 },
+      range: { min: 0.8, max: 1.2 },
+      parts: [
+        { kind: 'toggle', input: 'pelotonMembership', amount: 120, perceived: 'peloton' },
+        { kind: 'bonusPoints', input: 'pelotonEquipment', rate: 9, maxInput: 5000 }
+      ]
+    },
+    {
+      key: 'priorityPass',
+      details: '{input} lounge visits',
+      distribution: { type: 'triangular', min: 0.5, mode: 1, max: 1.5 },
+      range: { min: 0.5, max: 1.5 },
+      parts: [{ kind: 'perUnit', input: 'priorityPassVisits', rate: 35 }]
+    },
+    {
+      key: 'globalEntry',
+      details: 'Global Entry credit ($120 every 5 years)',
+      parts: [{ kind: 'toggle', input: 'globalEntryValue', amount: 120 / 5, lumpSum: { amount: 120, everyYears: 5 } }]
+    },
+    {
+      key: 'appleServices',
+      details: 'Apple TV+ and Apple Music',
+      parts: [{ kind: 'toggle', input: 'appleServices', amount: (6.99 + 10.99) * 12, perceived: 'apple' }]
+    },
+    {
+      key: 'highSpender',
+      details: 'High spender benefits: {value} used',
+      distribution: { type: 'triangular', min: 0.8, mode: 1, max: 1.2 },
+      requires: 'highSpender',
+      range: { min: 0.8, max: 1.2 },
+      parts: [
+        { kind: 'credit', input: 'shopsCreditUsage', cap: 250 },
+        { kind: 'credit', input: 'southwestCreditUsage', cap: 500 },
+        // A-List: priority boarding and same-day changes, per flight
+        { kind: 'perUnit', input: 'southwestFlights', rate: 15 },
+        // IHG Diamond: breakfast and upgrades, per night
+        { kind: 'perUnit', input: 'ihgNights', rate: 20 }
+      ]
+    }
+  ]
+};
+
+export default sapphireReserve;
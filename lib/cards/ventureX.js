@@ -0,0 +1,60 @@
+// Capital One Venture X. Its $300 portal credit uses the same
+// `travelCreditUsage` input as the Reserve's travel credit.
+
+const ventureX = {
+  id: 'venture-x',
+  name: 'Capital One Venture X',
+  version: '2025-02-01',
+  annualFee: 395,
+
+  pointValues: {
+    min: 0.010,
+    max: 0.018,
+    avg: 0.014
+  },
+  pointsProgram: 'venture-miles',
+
+  earn: [
+    { key: 'chaseTravel', label: 'PORTAL TRAVEL', multiplier: 5 },
+    { key: 'flightsHotels', label: 'FLIGHTS & HOTELS', multiplier: 2 },
+    { key: 'dining', label: 'DINING', multiplier: 2 },
+    { key: 'otherSpending', label: 'EVERYTHING ELSE', multiplier: 2 }
+  ],
+
+  // Authorized users are free and get their own lounge access.
+  authorizedUsers: { fee: 0, maxUsers: 3, earnKey: 'otherSpending', loungeVisitValue: 35 },
+
+  inputs: [],
+
+  benefits: [
+    {
+      key: 'points',
+      details: '{points} miles earned',
+      showWhenZero: true,
+      parts: [{ kind: 'earn' }]
+    },
+    {
+      key: 'travelCredit',
+      details: '{value} portal travel credit used',
+      parts: [{ kind: 'credit', input: 'travelCreditUsage', cap: 300 }]
+    },
+    {
+      key: 'anniversaryBonus',
+      details: '{points} anniversary miles',
+      parts: [{ kind: 'annualPoints', points: 10000 }]
+    },
+    {
+      key: 'priorityPass',
+      details: '{input} lounge visits',
+      range: { min: 0.5, max: 1.5 },
+      parts: [{ kind: 'perUnit', input: 'priorityPassVisits', rate: 35 }]
+    },
+    {
+      key: 'globalEntry',
+      details: 'Global Entry credit ($120 every 4 years)',
+      parts: [{ kind: 'toggle', input: 'globalEntryValue', amount: 120 / 4, lumpSum: { amount: 120, everyYears: 4 } }]
+    }
+  ]
+};
+
+export default ventureX;
@@ -0,0 +1,75 @@
+// Runs one spending profile against several cards from the catalog so they
+// can be ranked side by side. Cards are ranked on net value (benefits minus
+// fee) because ROI is undefined for no-fee cards.
+
+import { CARDS } from './cards/index.js';
+import { computeROI } from './roi.js';
+
+// The card without its `fixed` parts: what it is worth on the profile's own
+// numbers, with no credit counted that the profile says nothing about.
+const withoutFixedParts = (card) => ({
+  ...card,
+  benefits: card.benefits
+    .map(benefit => ({ ...benefit, parts: benefit.parts.filter(part => part.kind !== 'fixed') }))
+    .filter(benefit => benefit.parts.length > 0)
+});
+
+// `assumedValue` is the part of `totalValue` that comes from `fixed` parts.
+export const compareCards = (inputs, cards = Object.values(CARDS)) => cards
+  .map(card => {
+    const results = computeROI(inputs, card);
+    const netOf = (field) => Object.values(results.breakdown)
+      .reduce((sum, line) => sum + (line[field] || 0), 0) - results.totalCost;
+
+    return {
+      card,
+      results,
+      net: results.totalValue - results.totalCost,
+      minNet: netOf('min'),
+      maxNet: netOf('max'),
+      assumedValue: results.totalValue - computeROI(inputs, withoutFixedParts(card)).totalValue
+    };
+  })
+  .sort((a, b) => b.net - a.net);
+
+// Best-ranked card other than `currentId` that beats it even without its
+// assumed value, or null when none does: credits counted without any input
+// may rank a card but never make it worth switching to on their own.
+export const findBestAlternative = (comparison, currentId) => {
+  const current = comparison.find(entry => entry.card.id === currentId);
+  const currentNet = current ? current.net : -Infinity;
+  return comparison.find(entry =>
+    entry.card.id !== currentId && entry.net - entry.assumedValue > currentNet
+  ) || null;
+};
+
+// Lines up the breakdowns of several results by key. The first entry is the
+// baseline: every other column carries its per-line delta against it, and
+// lines missing from a result count as zero.
+export const diffBreakdowns = (entries) => {
+  const keys = [];
+  entries.forEach(({ results }) => {
+    Object.keys(results.breakdown).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+
+  const baseline = entries[0]?.results;
+  const lineValue = (results, key) => results.breakdown[key]?.value || 0;
+
+  const rows = keys.map(key => ({
+    key,
+    values: entries.map(({ results }) => lineValue(results, key)),
+    deltas: entries.map(({ results }) => lineValue(results, key) - lineValue(baseline, key))
+  }));
+
+  const totals = entries.map(({ results }) => ({
+    totalValue: results.totalValue,
+    net: results.totalValue - results.totalCost,
+    roi: results.roi,
+    valueDelta: results.totalValue - baseline.totalValue,
+    roiDelta: results.roi === null || baseline.roi === null ? null : results.roi - baseline.roi
+  }));
+
+  return { rows, totals };
+};
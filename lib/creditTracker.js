@@ -0,0 +1,197 @@
+// Calendar credit tracker. The card's `trackedCredits` reset every month,
+// half-year or year; the user logs what they actually redeemed in each
+// period and the tracker turns that into "actual to date plus projected"
+// dollars for the year, which replace the assumed benefit inputs.
+//
+// Periods that have not started yet are projected at the utilization the
+// user has shown in finished periods, or at the assumed inputs until one
+// has finished. The open period counts what is logged, or the projection if
+// that is higher, since it can still be used.
+
+export const CREDIT_STORAGE_KEY = 'valoretti.credits';
+
+export const CREDIT_LOG_VERSION = 1;
+
+const PERIODS_PER_YEAR = { monthly: 12, semiannual: 2, annual: 1 };
+
+// How close to a period's end an unused credit starts showing a reminder.
+export const EXPIRY_WARNING_DAYS = { monthly: 7, semiannual: 30, annual: 30 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_LABELS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// `enabled` switches the calculator from assumed to tracked credit values.
+export const emptyCreditLog = () => ({ version: CREDIT_LOG_VERSION, enabled: false, usage: {} });
+
+// Calendar periods of one year: [{ index, label, start, end }], end exclusive.
+export const getPeriods = (period, year) => {
+  const count = PERIODS_PER_YEAR[period];
+  if (!count) throw new Error('Unknown credit period: ' + period);
+  const months = 12 / count;
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    label: count === 12 ? MONTH_LABELS[index] : count === 2 ? 'H' + (index + 1) : String(year),
+    start: new Date(year, index * months, 1),
+    end: new Date(year, (index + 1) * months, 1)
+  }));
+};
+
+export const getLoggedUsage = (log, year, creditKey, index) =>
+  Number(log.usage?.[year]?.[creditKey]?.[index]) || 0;
+
+export const setLoggedUsage = (log, year, creditKey, index, amount) => {
+  const yearUsage = log.usage[year] || {};
+  const periods = [...(yearUsage[creditKey] || [])];
+  periods[index] = Math.max(0, Number(amount) || 0);
+  return {
+    ...log,
+    usage: { ...log.usage, [year]: { ...yearUsage, [creditKey]: periods } }
+  };
+};
+
+const findPart = (card, inputKey) => {
+  for (const benefit of card.benefits) {
+    const part = benefit.parts.find(candidate =>
+      candidate.input === inputKey || (candidate.inputs || []).includes(inputKey));
+    if (part) return part;
+  }
+  return null;
+};
+
+// Annual dollars the credit's input currently assumes.
+const assumedAnnual = (credit, inputs, card) => {
+  if (credit.inputs) {
+    return credit.inputs.reduce((sum, key) => sum + Math.min(Math.max(inputs[key] || 0, 0), credit.amount), 0);
+  }
+
+  const part = findPart(card, credit.input);
+  const input = inputs[credit.input] || 0;
+  const cap = credit.amount * PERIODS_PER_YEAR[credit.period];
+  if (!part) return 0;
+
+  switch (part.kind) {
+    case 'credit':
+      return Math.min(Math.max(input, 0), cap);
+    case 'perUnit':
+      return Math.min(input * part.rate, part.cap ?? Infinity, cap);
+    case 'toggle':
+      return typeof input === 'number' ? part.amount * Math.min(Math.max(input, 0), 1) : input ? part.amount : 0;
+    default:
+      return 0;
+  }
+};
+
+// Input value that makes the engine price the credit at `dollars` a year.
+const inputForDollars = (credit, dollars, card) => {
+  const part = findPart(card, credit.input);
+  switch (part?.kind) {
+    case 'perUnit':
+      return dollars / part.rate;
+    case 'toggle':
+      return part.amount > 0 ? dollars / part.amount : 0;
+    default:
+      return dollars;
+  }
+};
+
+const trackCredit = (credit, log, inputs, card, today) => {
+  const year = today.getFullYear();
+  const periods = getPeriods(credit.period, year);
+
+  const elapsed = periods.filter(period => period.end <= today);
+  const usedInElapsed = elapsed.reduce(
+    (sum, period) => sum + Math.min(getLoggedUsage(log, year, credit.key, period.index), credit.amount),
+    0
+  );
+  const assumed = assumedAnnual(credit, inputs, card);
+  const rate = elapsed.length > 0
+    ? usedInElapsed / (elapsed.length * credit.amount)
+    : Math.min(assumed / (periods.length * credit.amount), 1);
+
+  let actual = 0;
+  let projected = 0;
+  const rows = periods.map(period => {
+    const used = Math.min(getLoggedUsage(log, year, credit.key, period.index), credit.amount);
+    const status = period.end <= today ? 'past' : period.start <= today ? 'current' : 'future';
+    const expected = rate * credit.amount;
+    actual += used;
+    if (status === 'future') {
+      projected += expected;
+    } else if (status === 'current' && expected > used) {
+      projected += expected - used;
+    }
+    return { ...period, used, status, expected: status === 'past' ? used : Math.max(used, expected) };
+  });
+
+  return { credit, periods: rows, assumed, actual, projected, total: actual + projected, rate };
+};
+
+const getReminders = (credits, today) => credits
+  .filter(({ assumed, rate }) => assumed > 0 || rate > 0)
+  .flatMap(({ credit, periods }) => periods
+    .filter(period => period.status === 'current' && period.used < credit.amount)
+    .map(period => ({
+      credit,
+      period,
+      remaining: credit.amount - period.used,
+      daysLeft: Math.ceil((period.end - today) / DAY_MS)
+    }))
+    .filter(reminder => reminder.daysLeft <= EXPIRY_WARNING_DAYS[credit.period]))
+  .sort((a, b) => a.daysLeft - b.daysLeft);
+
+// Year-to-date picture of every tracked credit on the card, plus reminders
+// for open periods that are about to close with money left on them. Credits
+// the user neither assumes nor has ever logged get no reminders.
+export const trackCredits = (log, inputs, card, today = new Date()) => {
+  const credits = (card.trackedCredits || []).map(credit => trackCredit(credit, log, inputs, card, today));
+  return {
+    year: today.getFullYear(),
+    credits,
+    reminders: getReminders(credits, today)
+  };
+};
+
+// Inputs with each tracked credit replaced by its actual plus projected
+// dollars, ready for computeROI. Period-bucketed credits get each period's
+// amount in its own input; credits sharing their input with other parts get
+// the dollars in the part's `trackedInput`, so the other parts are untouched.
+export const applyTrackedCredits = (inputs, card, tracking) => {
+  const tracked = { ...inputs };
+  tracking.credits.forEach(({ credit, periods, total }) => {
+    if (credit.inputs) {
+      credit.inputs.forEach((key, index) => {
+        tracked[key] = periods[index]?.expected || 0;
+      });
+      return;
+    }
+
+    const trackedInput = findPart(card, credit.input)?.trackedInput;
+    if (trackedInput) {
+      tracked[trackedInput] = total;
+    } else {
+      tracked[credit.input] = inputForDollars(credit, total, card);
+    }
+  });
+  return tracked;
+};
+
+export const loadCreditLog = (storage) => {
+  try {
+    const parsed = JSON.parse(storage?.getItem(CREDIT_STORAGE_KEY) || 'null');
+    return parsed && parsed.version === CREDIT_LOG_VERSION && parsed.usage
+      ? { ...emptyCreditLog(), ...parsed }
+      : emptyCreditLog();
+  } catch (error) {
+    console.error('Failed to load credit log:', error);
+    return emptyCreditLog();
+  }
+};
+
+export const saveCreditLog = (storage, log) => {
+  try {
+    storage?.setItem(CREDIT_STORAGE_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.error('Failed to save credit log:', error);
+  }
+};
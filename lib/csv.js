@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV reader: quoted fields, doubled quotes, embedded
+// commas and newlines, CRLF or LF line endings.
+
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const source = (text || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// First row is the header; returns one object per remaining row.
+export const parseCSVRecords = (text) => {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return { headers: [], records: [] };
+
+  const headers = header.map(name => name.trim());
+  const records = rows.map(cells => {
+    const record = {};
+    headers.forEach((name, index) => {
+      record[name] = (cells[index] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+// Rows are arrays of cells; the first row is usually the header.
+export const toCSV = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
@@ -0,0 +1,76 @@
+// The /embed page: a compact calculator meant for an iframe on another site,
+// configured from its query string and driven by postMessage.
+//
+// Query parameters: any input key (same encoding as share links), plus
+//   theme  - one of EMBED_THEMES (default 'light')
+//   locale - one of lib/i18n LOCALES (default: stored or browser language)
+//   origin - the host page's origin; messages are only posted to it and only
+//            accepted from it. Without it the widget posts to '*'.
+//
+// Every message, in both directions, is { source: 'valoretti', version, type, payload }.
+//   host -> widget
+//     setInputs     { inputs }  merged over the current inputs; invalid fields
+//                               are skipped and reported with an `error` message
+//   widget -> host
+//     ready         { version } once the widget listens for messages
+//     resultChanged { inputs, results, recommendation } after every recalculation
+//     resize        { height }  content height in pixels whenever it changes
+//     error         { errors }  field -> message for a rejected setInputs
+//
+// The widget prices with the card's default point values and baseline and no
+// credit tracking: settings stored by the full calculator on the same origin
+// are ignored, so results depend only on the inputs the host can see.
+
+import { DEFAULT_CARD } from './cards/index.js';
+import { LOCALES } from './i18n/index.js';
+import { decodeInputs } from './share.js';
+import { checkInputs } from './validation.js';
+
+export const MESSAGE_SOURCE = 'valoretti';
+export const PROTOCOL_VERSION = 1;
+
+export const EMBED_THEMES = {
+  light: { background: '#F8F6F0' },
+  dark: { background: '#3D405B' },
+  transparent: { background: 'transparent' }
+};
+
+export const parseEmbedParams = (search) => {
+  const params = new URLSearchParams((search || '').replace(/^\?/, ''));
+  const theme = params.get('theme');
+  const locale = params.get('locale');
+  return {
+    inputs: decodeInputs(search),
+    theme: EMBED_THEMES[theme] ? theme : 'light',
+    locale: LOCALES[locale] ? locale : null,
+    origin: params.get('origin') || null
+  };
+};
+
+export const createMessage = (type, payload = {}) => ({
+  source: MESSAGE_SOURCE,
+  version: PROTOCOL_VERSION,
+  type,
+  payload
+});
+
+// Returns { type, payload } for a protocol message, or null for anything else
+// posted to the window (browser extensions, other widgets).
+export const readMessage = (data) => {
+  if (!data || typeof data !== 'object' || data.source !== MESSAGE_SOURCE || typeof data.type !== 'string') {
+    return null;
+  }
+  return { type: data.type, payload: data.payload || {} };
+};
+
+// Validates the fields of a setInputs message. Returns { inputs, errors }
+// where `inputs` holds only the fields that passed.
+export const readInputsUpdate = (raw, card = DEFAULT_CARD) => {
+  const { inputs: checked, errors } = checkInputs(raw, card);
+  if (!checked) return { inputs: {}, errors };
+  const inputs = {};
+  Object.keys(raw).forEach(key => {
+    if (!errors[key]) inputs[key] = checked[key];
+  });
+  return { inputs, errors };
+};
@@ -0,0 +1,40 @@
+// High-spender tier: progress toward the card's qualifying-spend threshold
+// and a what-if pricing the card as if the remaining spend were put on it.
+
+import { computeROI, getQualifyingSpend } from './roi.js';
+
+export const getHighSpenderProgress = (inputs, card) => {
+  if (!card.highSpender) return null;
+  const { threshold } = card.highSpender;
+  const qualifying = getQualifyingSpend(inputs, card);
+  return {
+    threshold,
+    qualifying,
+    progress: Math.min(qualifying / threshold, 1),
+    remaining: Math.max(threshold - qualifying, 0),
+    qualifies: qualifying >= threshold
+  };
+};
+
+// Results with the missing qualifying spend added to `category`, which must
+// count toward the threshold. The net change covers both the points earned
+// on the extra spend and the perks it unlocks at the current perk inputs.
+export const highSpenderWhatIf = (inputs, card, category) => {
+  const progress = getHighSpenderProgress(inputs, card);
+  if (!progress || progress.qualifies) return null;
+
+  const keys = card.highSpender.qualifyingSpend || card.earn.map(earn => earn.key);
+  const target = keys.includes(category) ? category : keys[keys.length - 1];
+
+  const current = computeROI(inputs, card);
+  const qualified = computeROI({ ...inputs, [target]: (inputs[target] || 0) + progress.remaining }, card);
+
+  return {
+    category: target,
+    extraSpend: progress.remaining,
+    current,
+    qualified,
+    perkValue: qualified.breakdown.highSpender?.value || 0,
+    netDelta: qualified.totalValue - current.totalValue
+  };
+};
@@ -0,0 +1,219 @@
+// English UI strings. Ids are grouped by the panel that shows them; `{name}`
+// placeholders are filled by `t(id, values)`. Card catalog text is already
+// English, so there is no `catalog` here.
+
+const messages = {
+  'common.notApplicable': 'N/A',
+  'common.max': 'MAX {max}',
+  'common.range': '{min} TO {max}',
+
+  'period.monthly': 'MONTHLY',
+  'period.semiannual': 'SEMIANNUAL',
+  'period.annual': 'ANNUAL',
+  'period.half': 'H{n}',
+
+  'app.subtitle': 'SAPPHIRE RESERVE ROI CALCULATOR',
+  'app.disclaimer': 'EXISTING CARDHOLDERS ONLY • NO SIGN-UP BONUSES INCLUDED',
+
+  'spending.title': 'ANNUAL SPENDING',
+  'spending.total': 'TOTAL ANNUAL SPENDING',
+  'spending.highSpenderQualified': 'HIGH SPENDER QUALIFIED',
+
+  'travel.title': 'TRAVEL BENEFITS',
+  'services.title': 'SERVICES',
+
+  'roi.title': 'ROI ANALYSIS',
+  'roi.annualFee': 'ANNUAL FEE',
+  'roi.annualFeeWithUsers': 'ANNUAL FEE + {count} AUTHORIZED USERS',
+  'roi.benefitValue': 'BENEFIT VALUE',
+  'roi.netValue': 'NET VALUE',
+  'roi.returnOnInvestment': 'RETURN ON INVESTMENT',
+  'roi.chance': '{chance} CHANCE OF POSITIVE ROI • 10TH–90TH: {p10} TO {p90}',
+
+  'breakdown.title': 'BREAKDOWN',
+  'breakdown.retail': 'RETAIL {amount}',
+  'breakdown.valueChart': 'VALUE VS ANNUAL FEE',
+  'breakdown.valueChartLabel': 'Benefit value stacked against the annual fee',
+  'breakdown.fee': 'FEE {amount}',
+  'breakdown.rangeChart': 'MIN / AVERAGE / MAX BY BENEFIT',
+  'breakdown.rangeChartLabel': 'Value range of each benefit',
+
+  'verdict.recommended': 'RECOMMENDED',
+  'verdict.notRecommended': 'NOT RECOMMENDED',
+  'verdict.keep': 'POSITIVE ROI: KEEP THE CARD',
+  'verdict.considerAlternatives': 'NEGATIVE ROI: CONSIDER ALTERNATIVES',
+
+  'recommendation.netBenefit': 'NET BENEFIT: {amount}',
+  'recommendation.netLoss': 'NET LOSS: {amount}',
+  'recommendation.higherNet': 'HIGHER NET VALUE: {card} (NET {amount})',
+  'recommendation.switchTo': 'SWITCH TO: {card} (NET {amount})',
+
+  'notes.title': 'NOTES',
+  'notes.existingOnly': 'EXISTING CARDHOLDERS ONLY',
+  'notes.pointValues': 'POINT VALUES: {min}-{max} ({preset})',
+  'notes.baseline': 'POINTS NET OF {baseline} BASELINE',
+  'notes.highSpender': 'HIGH SPENDER: {threshold}+ QUALIFYING SPEND PER {window}',
+  'notes.terms': 'CARD TERMS AS OF {version}',
+  'notes.trackedCredits': 'CREDITS: ACTUAL TO DATE + PROJECTED',
+  'notes.usageVaries': 'ACTUAL VALUE VARIES BY USAGE',
+
+  'support.title': 'SUPPORT VALORETTI',
+  'support.body': 'If this saved you time or effort, consider giving back',
+
+  'share.copy': 'COPY LINK TO THIS SCENARIO',
+  'share.copied': 'LINK COPIED',
+  'share.failed': 'COPY FAILED',
+
+  'scenarios.title': 'SCENARIOS',
+  'scenarios.active': 'ACTIVE: {name}',
+  'scenarios.unsaved': 'UNSAVED CHANGES',
+  'scenarios.none': 'NO SCENARIO SELECTED',
+  'scenarios.duplicate': 'Duplicate',
+  'scenarios.delete': 'Delete',
+  'scenarios.namePlaceholder': 'SCENARIO NAME',
+  'scenarios.defaultName': 'Scenario {n}',
+  'scenarios.saveAsNew': 'SAVE AS NEW',
+  'scenarios.save': 'SAVE {name}',
+
+  'scenarioComparison.title': 'COMPARE SCENARIOS',
+  'scenarioComparison.current': 'Current inputs',
+  'scenarioComparison.hint': 'PICK TWO OR MORE SCENARIOS. THE FIRST ONE PICKED IS THE BASELINE.',
+  'scenarioComparison.totalValue': 'TOTAL VALUE',
+  'scenarioComparison.points': '{value} PTS',
+
+  'valuation.title': 'POINT VALUATION',
+  'valuation.preset.card': 'CARD DEFAULT',
+  'valuation.preset.cash': 'CASH OUT',
+  'valuation.preset.portal': 'TRAVEL PORTAL',
+  'valuation.preset.transfer': 'TRANSFER PARTNERS',
+  'valuation.preset.custom': 'CUSTOM',
+  'valuation.centsPerPoint': 'CENTS PER POINT',
+  'valuation.summary': '{avg} PER POINT • RANGE {min}–{max}',
+
+  'baseline.title': 'BASELINE CARD',
+  'baseline.preset.none': 'NONE',
+  'baseline.preset.flat2': 'NO-FEE 2% CASH BACK',
+  'baseline.preset.custom': 'CUSTOM PER CATEGORY',
+  'baseline.earnedOver': 'EARNED OVER BASELINE',
+
+  'highSpender.title': 'HIGH SPENDER TIER',
+  'highSpender.qualifying': '{amount} QUALIFYING',
+  'highSpender.counts': 'COUNTS: {categories} • PER {window}',
+  'highSpender.year': 'YEAR',
+  'highSpender.qualified': 'QUALIFIED • PERKS BELOW ARE PRICED IN',
+  'highSpender.remaining': '{amount} MORE TO QUALIFY',
+  'highSpender.ifItWentOn': 'IF IT WENT ON',
+  'highSpender.whatIf': 'VALUE +{delta} (PERKS {perks}) • ROI {from} → {to}',
+
+  'authorizedUsers.title': 'AUTHORIZED USERS',
+  'authorizedUsers.feePerUser': '{fee} PER USER',
+  'authorizedUsers.noFee': 'NO FEE PER USER',
+  'authorizedUsers.addsCost': 'ADDS {amount} TO THE COST',
+  'authorizedUsers.loungeAccess': 'OWN LOUNGE ACCESS',
+  'authorizedUsers.user': 'USER {n}',
+  'authorizedUsers.annualSpend': 'ANNUAL SPEND $',
+  'authorizedUsers.loungeVisits': 'LOUNGE VISITS',
+
+  'subscriptions.title': 'SUBSCRIPTION VALUE',
+  'subscriptions.countedAt': 'COUNTED AT {share}',
+  'subscriptions.wouldPay': 'WOULD PAY ANYWAY',
+  'subscriptions.haveElsewhere': 'HAVE IT ELSEWHERE',
+  'subscriptions.worth': 'WORTH TO YOU %',
+
+  'csvImport.title': 'IMPORT FROM CSV',
+  'csvImport.subtitle': 'CHASE OR GENERIC TRANSACTION EXPORT • PARSED IN YOUR BROWSER, NEVER UPLOADED',
+  'csvImport.summary': '{count} PURCHASES OVER {days} DAYS, ANNUALIZED',
+  'csvImport.apply': 'FILL ANNUAL SPENDING',
+
+  'tracker.title': 'CREDIT TRACKER {year}',
+  'tracker.usingActual': 'USING ACTUAL + PROJECTED',
+  'tracker.usingAssumed': 'USING ASSUMED VALUES',
+  'tracker.expiringSoon': 'EXPIRING SOON',
+  'tracker.reminder': '{credit} {period}: {amount} UNUSED, {days} DAYS LEFT',
+  'tracker.reminderOneDay': '{credit} {period}: {amount} UNUSED, 1 DAY LEFT',
+  'tracker.totals': 'ASSUMED {assumed} • ACTUAL {actual} + PROJECTED {projected}',
+  'tracker.footnote': 'LOG WHAT YOU REDEEMED EACH PERIOD. OPEN AND FUTURE PERIODS ARE PROJECTED FROM YOUR USAGE SO FAR.',
+
+  'comparison.title': 'CARD COMPARISON',
+  'comparison.summary': 'FEE {fee} • VALUE {value} • ROI {roi}',
+  'comparison.noFee': 'NO FEE',
+  'comparison.footnote': 'RANKED BY NET VALUE (BENEFITS MINUS ANNUAL FEE) FOR THE SAME SPENDING',
+
+  'productChange.title': 'KEEP, DOWNGRADE OR CANCEL',
+  'productChange.pointsBalance': 'CURRENT POINTS BALANCE',
+  'productChange.path.keep': 'KEEP',
+  'productChange.path.downgrade': 'DOWNGRADE TO {card}',
+  'productChange.path.cancel': 'CANCEL',
+  'productChange.forfeited': 'Points are forfeited unless redeemed before closing: {amount}',
+  'productChange.annualNet': 'Annual net {amount}',
+  'productChange.revalued': 'Points revalued {amount}',
+  'productChange.firstYear': 'FIRST YEAR',
+
+  'projection.title': 'MULTI-YEAR PROJECTION',
+  'projection.years': 'YEARS',
+  'projection.spendGrowth': 'SPEND GROWTH %/YEAR',
+  'projection.lumpSumYear': 'GLOBAL ENTRY USED IN YEAR',
+  'projection.year': 'YEAR',
+  'projection.fee': 'FEE',
+  'projection.value': 'VALUE',
+  'projection.net': 'NET',
+  'projection.cumulative': 'CUMULATIVE',
+  'projection.breakEven': 'BREAK-EVEN IN YEAR {year}',
+  'projection.noBreakEven': 'NO BREAK-EVEN WITHIN {years} YEARS',
+  'projection.cumulativeNet': 'CUMULATIVE NET {amount}',
+
+  'uncertainty.title': 'UNCERTAINTY',
+  'uncertainty.chance': 'CHANCE THE CARD PAYS FOR ITSELF',
+  'uncertainty.breakEven': 'BREAK-EVEN',
+  'uncertainty.p5': '5TH PERCENTILE',
+  'uncertainty.p25': '25TH PERCENTILE',
+  'uncertainty.p50': 'MEDIAN PERCENTILE',
+  'uncertainty.p75': '75TH PERCENTILE',
+  'uncertainty.p95': '95TH PERCENTILE',
+  'uncertainty.footnote': '{iterations} SIMULATED YEARS • POINT VALUE AND USAGE OF EVERY BENEFIT SAMPLED JOINTLY',
+
+  'sensitivity.title': 'BREAK-EVEN & SENSITIVITY',
+  'sensitivity.solveFor': 'SOLVE FOR',
+  'sensitivity.unreachable': '{input} ALONE CAN\'T BRING ROI TO 0%',
+  'sensitivity.alreadyPositive': 'ROI IS POSITIVE EVEN WITH {input} AT ZERO',
+  'sensitivity.needed': '{input} NEEDED FOR 0% ROI',
+  'sensitivity.moreThanToday': '{amount} MORE THAN TODAY',
+  'sensitivity.aboveBreakEven': 'ALREADY ABOVE BREAK-EVEN',
+  'sensitivity.tornado': 'ROI WITH EACH INPUT SWEPT FROM ZERO TO DOUBLE (OR ITS LIMIT)',
+  'sensitivity.noChange': 'NO INPUT CHANGES THE ROI',
+  'sensitivity.chartLabel': 'ROI sensitivity by input',
+
+  'spendCurve.title': 'ROI VS ANNUAL SPEND',
+  'spendCurve.chartLabel': 'ROI as total annual spend varies',
+  'spendCurve.threshold': 'HIGH-SPENDER {amount}',
+  'spendCurve.current': 'YOU',
+  'spendCurve.footnote': 'YOUR SPENDING SCALED IN TODAY\'S CATEGORY MIX • AUTHORIZED USERS AND EVERYTHING ELSE HELD',
+
+  'export.title': 'EXPORT',
+  'export.importJSON': 'IMPORT A JSON EXPORT',
+  'export.allowPopups': 'Allow pop-ups to open the printable report',
+
+  'batch.title': 'BATCH EVALUATION',
+  'batch.hint': 'CSV WITH A "{column}" COLUMN AND ONE ROW PER PERSON; OTHER COLUMNS ARE INPUT KEYS, BLANKS TAKE THE DEFAULT',
+  'batch.name': 'NAME',
+  'batch.verdict': 'VERDICT',
+  'batch.keep': 'KEEP',
+  'batch.error': 'ERROR',
+  'batch.rowError': 'ROW {row}: {errors}',
+  'batch.download': 'DOWNLOAD SUMMARY CSV',
+
+  'report.title': '{card} ROI Report',
+  'report.subtitle': '{card} ROI REPORT • TERMS AS OF {version} • {date}',
+  'report.result': 'RESULT',
+  'report.range': 'RANGE',
+  'report.line': 'LINE',
+  'report.details': 'DETAILS',
+  'report.min': 'MIN',
+  'report.value': 'VALUE',
+  'report.max': 'MAX',
+  'report.inputs': 'INPUTS'
+};
+
+const en = { messages };
+
+export default en;
@@ -0,0 +1,333 @@
+// Spanish UI strings, with the same ids as ./en.js. `catalog` translates the
+// English text of the card catalog (labels and breakdown details templates)
+// by source string; anything missing shows in English.
+
+const messages = {
+  'common.notApplicable': 'N/D',
+  'common.max': 'MÁX. {max}',
+  'common.range': 'DE {min} A {max}',
+
+  'period.monthly': 'MENSUAL',
+  'period.semiannual': 'SEMESTRAL',
+  'period.annual': 'ANUAL',
+  'period.half': 'S{n}',
+
+  'app.subtitle': 'CALCULADORA DE ROI DE SAPPHIRE RESERVE',
+  'app.disclaimer': 'SOLO TITULARES ACTUALES • SIN BONOS DE BIENVENIDA',
+
+  'spending.title': 'GASTO ANUAL',
+  'spending.total': 'GASTO ANUAL TOTAL',
+  'spending.highSpenderQualified': 'CALIFICA COMO GRAN GASTADOR',
+
+  'travel.title': 'BENEFICIOS DE VIAJE',
+  'services.title': 'SERVICIOS',
+
+  'roi.title': 'ANÁLISIS DE ROI',
+  'roi.annualFee': 'CUOTA ANUAL',
+  'roi.annualFeeWithUsers': 'CUOTA ANUAL + {count} USUARIOS AUTORIZADOS',
+  'roi.benefitValue': 'VALOR DE BENEFICIOS',
+  'roi.netValue': 'VALOR NETO',
+  'roi.returnOnInvestment': 'RETORNO DE LA INVERSIÓN',
+  'roi.chance': '{chance} DE PROBABILIDAD DE ROI POSITIVO • P10–P90: DE {p10} A {p90}',
+
+  'breakdown.title': 'DESGLOSE',
+  'breakdown.retail': 'PRECIO DE LISTA {amount}',
+  'breakdown.valueChart': 'VALOR FRENTE A LA CUOTA ANUAL',
+  'breakdown.valueChartLabel': 'Valor de los beneficios apilado frente a la cuota anual',
+  'breakdown.fee': 'CUOTA {amount}',
+  'breakdown.rangeChart': 'MÍN / PROMEDIO / MÁX POR BENEFICIO',
+  'breakdown.rangeChartLabel': 'Rango de valor de cada beneficio',
+
+  'verdict.recommended': 'RECOMENDADA',
+  'verdict.notRecommended': 'NO RECOMENDADA',
+  'verdict.keep': 'ROI POSITIVO: CONSERVA LA TARJETA',
+  'verdict.considerAlternatives': 'ROI NEGATIVO: CONSIDERA ALTERNATIVAS',
+
+  'recommendation.netBenefit': 'BENEFICIO NETO: {amount}',
+  'recommendation.netLoss': 'PÉRDIDA NETA: {amount}',
+  'recommendation.higherNet': 'MAYOR VALOR NETO: {card} (NETO {amount})',
+  'recommendation.switchTo': 'CAMBIA A: {card} (NETO {amount})',
+
+  'notes.title': 'NOTAS',
+  'notes.existingOnly': 'SOLO TITULARES ACTUALES',
+  'notes.pointValues': 'VALOR DE LOS PUNTOS: {min}-{max} ({preset})',
+  'notes.baseline': 'PUNTOS NETOS DE LA TARJETA BASE {baseline}',
+  'notes.highSpender': 'GRAN GASTADOR: {threshold}+ DE GASTO ELEGIBLE POR {window}',
+  'notes.terms': 'CONDICIONES DE LA TARJETA AL {version}',
+  'notes.trackedCredits': 'CRÉDITOS: REALES A LA FECHA + PROYECTADOS',
+  'notes.usageVaries': 'EL VALOR REAL DEPENDE DEL USO',
+
+  'support.title': 'APOYA A VALORETTI',
+  'support.body': 'Si esto te ahorró tiempo o esfuerzo, considera apoyarnos',
+
+  'share.copy': 'COPIAR ENLACE A ESTE ESCENARIO',
+  'share.copied': 'ENLACE COPIADO',
+  'share.failed': 'NO SE PUDO COPIAR',
+
+  'scenarios.title': 'ESCENARIOS',
+  'scenarios.active': 'ACTIVO: {name}',
+  'scenarios.unsaved': 'CAMBIOS SIN GUARDAR',
+  'scenarios.none': 'NINGÚN ESCENARIO SELECCIONADO',
+  'scenarios.duplicate': 'Duplicar',
+  'scenarios.delete': 'Eliminar',
+  'scenarios.namePlaceholder': 'NOMBRE DEL ESCENARIO',
+  'scenarios.defaultName': 'Escenario {n}',
+  'scenarios.saveAsNew': 'GUARDAR COMO NUEVO',
+  'scenarios.save': 'GUARDAR {name}',
+
+  'scenarioComparison.title': 'COMPARAR ESCENARIOS',
+  'scenarioComparison.current': 'Datos actuales',
+  'scenarioComparison.hint': 'ELIGE DOS O MÁS ESCENARIOS. EL PRIMERO QUE ELIJAS ES LA REFERENCIA.',
+  'scenarioComparison.totalValue': 'VALOR TOTAL',
+  'scenarioComparison.points': '{value} PTS',
+
+  'valuation.title': 'VALOR DE LOS PUNTOS',
+  'valuation.preset.card': 'VALOR DE LA TARJETA',
+  'valuation.preset.cash': 'EFECTIVO',
+  'valuation.preset.portal': 'PORTAL DE VIAJES',
+  'valuation.preset.transfer': 'SOCIOS DE TRANSFERENCIA',
+  'valuation.preset.custom': 'PERSONALIZADO',
+  'valuation.centsPerPoint': 'CENTAVOS POR PUNTO',
+  'valuation.summary': '{avg} POR PUNTO • RANGO {min}–{max}',
+
+  'baseline.title': 'TARJETA BASE',
+  'baseline.preset.none': 'NINGUNA',
+  'baseline.preset.flat2': '2% DE REEMBOLSO SIN CUOTA',
+  'baseline.preset.custom': 'PERSONALIZADA POR CATEGORÍA',
+  'baseline.earnedOver': 'GANADO SOBRE LA TARJETA BASE',
+
+  'highSpender.title': 'NIVEL DE GRAN GASTADOR',
+  'highSpender.qualifying': '{amount} ELEGIBLE',
+  'highSpender.counts': 'CUENTA: {categories} • POR {window}',
+  'highSpender.year': 'AÑO',
+  'highSpender.qualified': 'CALIFICAS • LOS BENEFICIOS DE ABAJO ESTÁN INCLUIDOS',
+  'highSpender.remaining': 'FALTAN {amount} PARA CALIFICAR',
+  'highSpender.ifItWentOn': 'SI SE GASTARA EN',
+  'highSpender.whatIf': 'VALOR +{delta} (BENEFICIOS {perks}) • ROI {from} → {to}',
+
+  'authorizedUsers.title': 'USUARIOS AUTORIZADOS',
+  'authorizedUsers.feePerUser': '{fee} POR USUARIO',
+  'authorizedUsers.noFee': 'SIN CUOTA POR USUARIO',
+  'authorizedUsers.addsCost': 'SUMA {amount} AL COSTO',
+  'authorizedUsers.loungeAccess': 'ACCESO PROPIO A SALAS VIP',
+  'authorizedUsers.user': 'USUARIO {n}',
+  'authorizedUsers.annualSpend': 'GASTO ANUAL $',
+  'authorizedUsers.loungeVisits': 'VISITAS A SALAS VIP',
+
+  'subscriptions.title': 'VALOR DE SUSCRIPCIONES',
+  'subscriptions.countedAt': 'CUENTA AL {share}',
+  'subscriptions.wouldPay': 'LA PAGARÍA DE TODOS MODOS',
+  'subscriptions.haveElsewhere': 'YA LA TENGO EN OTRO LADO',
+  'subscriptions.worth': 'CUÁNTO VALE PARA TI %',
+
+  'csvImport.title': 'IMPORTAR DESDE CSV',
+  'csvImport.subtitle': 'EXPORTACIÓN DE CHASE O GENÉRICA • SE PROCESA EN TU NAVEGADOR, NUNCA SE SUBE',
+  'csvImport.summary': '{count} COMPRAS EN {days} DÍAS, ANUALIZADAS',
+  'csvImport.apply': 'LLENAR GASTO ANUAL',
+
+  'tracker.title': 'SEGUIMIENTO DE CRÉDITOS {year}',
+  'tracker.usingActual': 'USANDO REAL + PROYECTADO',
+  'tracker.usingAssumed': 'USANDO VALORES SUPUESTOS',
+  'tracker.expiringSoon': 'POR VENCER',
+  'tracker.reminder': '{credit} {period}: {amount} SIN USAR, QUEDAN {days} DÍAS',
+  'tracker.reminderOneDay': '{credit} {period}: {amount} SIN USAR, QUEDA 1 DÍA',
+  'tracker.totals': 'SUPUESTO {assumed} • REAL {actual} + PROYECTADO {projected}',
+  'tracker.footnote': 'REGISTRA LO QUE CANJEASTE EN CADA PERIODO. LOS PERIODOS ABIERTOS Y FUTUROS SE PROYECTAN SEGÚN TU USO HASTA AHORA.',
+
+  'comparison.title': 'COMPARACIÓN DE TARJETAS',
+  'comparison.summary': 'CUOTA {fee} • VALOR {value} • ROI {roi}',
+  'comparison.noFee': 'SIN CUOTA',
+  'comparison.footnote': 'ORDENADAS POR VALOR NETO (BENEFICIOS MENOS CUOTA ANUAL) CON EL MISMO GASTO',
+
+  'productChange.title': 'CONSERVAR, CAMBIAR O CANCELAR',
+  'productChange.pointsBalance': 'SALDO ACTUAL DE PUNTOS',
+  'productChange.path.keep': 'CONSERVAR',
+  'productChange.path.downgrade': 'CAMBIAR A {card}',
+  'productChange.path.cancel': 'CANCELAR',
+  'productChange.forfeited': 'Los puntos se pierden si no se canjean antes de cerrar: {amount}',
+  'productChange.annualNet': 'Neto anual {amount}',
+  'productChange.revalued': 'Puntos revalorizados {amount}',
+  'productChange.firstYear': 'PRIMER AÑO',
+
+  'projection.title': 'PROYECCIÓN A VARIOS AÑOS',
+  'projection.years': 'AÑOS',
+  'projection.spendGrowth': 'CRECIMIENTO DEL GASTO %/AÑO',
+  'projection.lumpSumYear': 'GLOBAL ENTRY USADO EN EL AÑO',
+  'projection.year': 'AÑO',
+  'projection.fee': 'CUOTA',
+  'projection.value': 'VALOR',
+  'projection.net': 'NETO',
+  'projection.cumulative': 'ACUMULADO',
+  'projection.breakEven': 'PUNTO DE EQUILIBRIO EN EL AÑO {year}',
+  'projection.noBreakEven': 'SIN PUNTO DE EQUILIBRIO EN {years} AÑOS',
+  'projection.cumulativeNet': 'NETO ACUMULADO {amount}',
+
+  'uncertainty.title': 'INCERTIDUMBRE',
+  'uncertainty.chance': 'PROBABILIDAD DE QUE LA TARJETA SE PAGUE SOLA',
+  'uncertainty.breakEven': 'EQUILIBRIO',
+  'uncertainty.p5': 'PERCENTIL 5',
+  'uncertainty.p25': 'PERCENTIL 25',
+  'uncertainty.p50': 'MEDIANA',
+  'uncertainty.p75': 'PERCENTIL 75',
+  'uncertainty.p95': 'PERCENTIL 95',
+  'uncertainty.footnote': '{iterations} AÑOS SIMULADOS • VALOR DE LOS PUNTOS Y USO DE CADA BENEFICIO MUESTREADOS EN CONJUNTO',
+
+  'sensitivity.title': 'EQUILIBRIO Y SENSIBILIDAD',
+  'sensitivity.solveFor': 'CALCULAR',
+  'sensitivity.unreachable': '{input} POR SÍ SOLO NO LLEVA EL ROI A 0%',
+  'sensitivity.alreadyPositive': 'EL ROI ES POSITIVO AUN CON {input} EN CERO',
+  'sensitivity.needed': '{input} NECESARIO PARA ROI DE 0%',
+  'sensitivity.moreThanToday': '{amount} MÁS QUE HOY',
+  'sensitivity.aboveBreakEven': 'YA ESTÁS SOBRE EL EQUILIBRIO',
+  'sensitivity.tornado': 'ROI AL VARIAR CADA DATO DE CERO AL DOBLE (O SU LÍMITE)',
+  'sensitivity.noChange': 'NINGÚN DATO CAMBIA EL ROI',
+  'sensitivity.chartLabel': 'Sensibilidad del ROI por dato',
+
+  'spendCurve.title': 'ROI SEGÚN EL GASTO ANUAL',
+  'spendCurve.chartLabel': 'ROI según varía el gasto anual total',
+  'spendCurve.threshold': 'GRAN GASTADOR {amount}',
+  'spendCurve.current': 'TÚ',
+  'spendCurve.footnote': 'TU GASTO ESCALADO CON LA MEZCLA ACTUAL DE CATEGORÍAS • USUARIOS AUTORIZADOS Y TODO LO DEMÁS SIN CAMBIOS',
+
+  'export.title': 'EXPORTAR',
+  'export.importJSON': 'IMPORTAR UNA EXPORTACIÓN JSON',
+  'export.allowPopups': 'Permite las ventanas emergentes para abrir el informe imprimible',
+
+  'batch.title': 'EVALUACIÓN POR LOTES',
+  'batch.hint': 'CSV CON UNA COLUMNA "{column}" Y UNA FILA POR PERSONA; LAS DEMÁS COLUMNAS SON CLAVES DE DATOS, LAS VACÍAS TOMAN EL VALOR PREDETERMINADO',
+  'batch.name': 'NOMBRE',
+  'batch.verdict': 'VEREDICTO',
+  'batch.keep': 'CONSERVAR',
+  'batch.error': 'ERROR',
+  'batch.rowError': 'FILA {row}: {errors}',
+  'batch.download': 'DESCARGAR RESUMEN CSV',
+
+  'report.title': 'Informe de ROI de {card}',
+  'report.subtitle': 'INFORME DE ROI DE {card} • CONDICIONES AL {version} • {date}',
+  'report.result': 'RESULTADO',
+  'report.range': 'RANGO',
+  'report.line': 'CONCEPTO',
+  'report.details': 'DETALLES',
+  'report.min': 'MÍN.',
+  'report.value': 'VALOR',
+  'report.max': 'MÁX.',
+  'report.inputs': 'DATOS',
+
+  'line.points': 'PUNTOS',
+  'line.travelCredit': 'CRÉDITO DE VIAJE',
+  'line.diningCredit': 'CRÉDITO DE RESTAURANTES',
+  'line.editCredit': 'CRÉDITO THE EDIT',
+  'line.stubhubCredit': 'CRÉDITO STUBHUB',
+  'line.dashpass': 'DASHPASS',
+  'line.doorDashCredits': 'CRÉDITOS DOORDASH',
+  'line.lyft': 'LYFT',
+  'line.peloton': 'PELOTON',
+  'line.priorityPass': 'PRIORITY PASS',
+  'line.globalEntry': 'GLOBAL ENTRY',
+  'line.appleServices': 'SERVICIOS DE APPLE',
+  'line.highSpender': 'GRAN GASTADOR',
+  'line.authorizedUser1': 'USUARIO AUTORIZADO 1',
+  'line.authorizedUser2': 'USUARIO AUTORIZADO 2',
+  'line.authorizedUser3': 'USUARIO AUTORIZADO 3',
+  'line.anniversaryBonus': 'BONO DE ANIVERSARIO',
+  'line.hotelCredit': 'CRÉDITO DE HOTEL',
+  'line.uberCash': 'UBER CASH',
+  'line.dunkinCredit': 'CRÉDITO DUNKIN\'',
+  'line.airlineCredit': 'CRÉDITO DE AEROLÍNEA',
+  'line.resyCredit': 'CRÉDITO RESY'
+};
+
+const catalog = {
+  // Earning categories
+  'CHASE TRAVEL': 'CHASE TRAVEL',
+  'FLIGHTS & HOTELS': 'VUELOS Y HOTELES',
+  'DINING': 'RESTAURANTES',
+  'EVERYTHING ELSE': 'TODO LO DEMÁS',
+  'OTHER TRAVEL': 'OTROS VIAJES',
+  'PORTAL TRAVEL': 'VIAJES POR EL PORTAL',
+  'FLIGHTS': 'VUELOS',
+  'RESTAURANTS': 'RESTAURANTES',
+  'AMEX TRAVEL': 'AMEX TRAVEL',
+
+  // Inputs
+  'TRAVEL CREDIT': 'CRÉDITO DE VIAJE',
+  'DINING CREDIT JAN–JUN': 'CRÉDITO DE RESTAURANTES ENE–JUN',
+  'DINING CREDIT JUL–DEC': 'CRÉDITO DE RESTAURANTES JUL–DIC',
+  'EDIT STAYS': 'ESTANCIAS THE EDIT',
+  'STUBHUB JAN–JUN': 'STUBHUB ENE–JUN',
+  'STUBHUB JUL–DEC': 'STUBHUB JUL–DIC',
+  'PRIORITY PASS VISITS': 'VISITAS PRIORITY PASS',
+  'GLOBAL ENTRY CREDIT': 'CRÉDITO GLOBAL ENTRY',
+  'DASHPASS MONTHS': 'MESES DE DASHPASS',
+  'LYFT RIDES/MONTH': 'VIAJES EN LYFT/MES',
+  'PELOTON EQUIPMENT': 'EQUIPO PELOTON',
+  '$5 DOORDASH RESTAURANT CREDIT': 'CRÉDITO DOORDASH DE $5 EN RESTAURANTES',
+  '$20 DOORDASH NON-RESTAURANT CREDIT': 'CRÉDITO DOORDASH DE $20 FUERA DE RESTAURANTES',
+  '$120 PELOTON MEMBERSHIP': 'MEMBRESÍA PELOTON DE $120',
+  '$215 APPLE SERVICES': 'SERVICIOS DE APPLE DE $215',
+  'WOULD PAY FOR DASHPASS ANYWAY': 'PAGARÍA DASHPASS DE TODOS MODOS',
+  'ALREADY HAVE DASHPASS ELSEWHERE': 'YA TENGO DASHPASS EN OTRO LADO',
+  'DASHPASS WORTH TO YOU': 'CUÁNTO VALE DASHPASS PARA TI',
+  'WOULD PAY FOR APPLE TV+ & MUSIC ANYWAY': 'PAGARÍA APPLE TV+ Y MUSIC DE TODOS MODOS',
+  'ALREADY HAVE APPLE TV+ & MUSIC ELSEWHERE': 'YA TENGO APPLE TV+ Y MUSIC EN OTRO LADO',
+  'APPLE TV+ & MUSIC WORTH TO YOU': 'CUÁNTO VALEN APPLE TV+ Y MUSIC PARA TI',
+  'WOULD PAY FOR PELOTON ANYWAY': 'PAGARÍA PELOTON DE TODOS MODOS',
+  'ALREADY HAVE PELOTON ELSEWHERE': 'YA TENGO PELOTON EN OTRO LADO',
+  'PELOTON WORTH TO YOU': 'CUÁNTO VALE PELOTON PARA TI',
+  'SHOPS CREDIT USED': 'CRÉDITO SHOPS USADO',
+  'SOUTHWEST CREDIT USED': 'CRÉDITO SOUTHWEST USADO',
+  'SOUTHWEST FLIGHTS/YEAR (A-LIST)': 'VUELOS SOUTHWEST/AÑO (A-LIST)',
+  'IHG NIGHTS/YEAR (DIAMOND)': 'NOCHES IHG/AÑO (DIAMOND)',
+  'AUTHORIZED USERS': 'USUARIOS AUTORIZADOS',
+  'USER 1 ANNUAL SPEND': 'GASTO ANUAL USUARIO 1',
+  'USER 2 ANNUAL SPEND': 'GASTO ANUAL USUARIO 2',
+  'USER 3 ANNUAL SPEND': 'GASTO ANUAL USUARIO 3',
+  'USER 1 LOUNGE VISITS': 'VISITAS A SALAS VIP USUARIO 1',
+  'USER 2 LOUNGE VISITS': 'VISITAS A SALAS VIP USUARIO 2',
+  'USER 3 LOUNGE VISITS': 'VISITAS A SALAS VIP USUARIO 3',
+  'CURRENT POINTS BALANCE': 'SALDO ACTUAL DE PUNTOS',
+
+  // Tracked credits and subscriptions
+  'DINING CREDIT': 'CRÉDITO DE RESTAURANTES',
+  'STUBHUB': 'STUBHUB',
+  'DOORDASH RESTAURANT': 'DOORDASH RESTAURANTES',
+  'DOORDASH NON-RESTAURANT': 'DOORDASH FUERA DE RESTAURANTES',
+  'LYFT': 'LYFT',
+  'PELOTON MEMBERSHIP': 'MEMBRESÍA PELOTON',
+  'DASHPASS': 'DASHPASS',
+  'APPLE TV+ & MUSIC': 'APPLE TV+ Y MUSIC',
+  'CALENDAR YEAR': 'AÑO CALENDARIO',
+
+  // Breakdown details
+  '{points} points earned': '{points} puntos ganados',
+  '{points} points earned, {value} over baseline': '{points} puntos ganados, {value} sobre la tarjeta base',
+  '{points} points earned plus lounge visits': '{points} puntos ganados más visitas a salas VIP',
+  '{points} miles earned': '{points} millas ganadas',
+  '{points} anniversary points (10% of spend)': '{points} puntos de aniversario (10% del gasto)',
+  '{points} anniversary miles': '{points} millas de aniversario',
+  '{value} travel credit used': '{value} de crédito de viaje usado',
+  '{value} dining credit over both halves': '{value} de crédito de restaurantes en ambos semestres',
+  '{value} Edit stays credit': '{value} de crédito para estancias The Edit',
+  '{value} StubHub credit': '{value} de crédito StubHub',
+  '{input} months of DashPass': '{input} meses de DashPass',
+  'DoorDash credits: {value}/year': 'Créditos DoorDash: {value}/año',
+  'Lyft credits and bonus points': 'Créditos Lyft y puntos adicionales',
+  'Peloton benefits': 'Beneficios Peloton',
+  '{input} lounge visits': '{input} visitas a salas VIP',
+  'Global Entry credit ($120 every 5 years)': 'Crédito Global Entry ($120 cada 5 años)',
+  'Global Entry credit ($120 every 4 years)': 'Crédito Global Entry ($120 cada 4 años)',
+  'Apple TV+ and Apple Music': 'Apple TV+ y Apple Music',
+  'High spender benefits: {value} used': 'Beneficios de gran gastador: {value} usados',
+  '{value} Chase Travel hotel credit': '{value} de crédito de hotel en Chase Travel',
+  '{value} dining and Resy credits': '{value} en créditos de restaurantes y Resy',
+  '{value} Uber Cash': '{value} de Uber Cash',
+  '{value} Dunkin\' credit': '{value} de crédito Dunkin\'',
+  '{value} Fine Hotels + Resorts credit': '{value} de crédito Fine Hotels + Resorts',
+  '{value} airline fee credit': '{value} de crédito para cargos de aerolínea',
+  '{value} Resy credit': '{value} de crédito Resy',
+  '{value} portal travel credit used': '{value} de crédito de viaje del portal usado'
+};
+
+const es = { messages, catalog };
+
+export default es;
@@ -0,0 +1,107 @@
+// Message catalogs and number formatting. UI strings are looked up by id in
+// the locale's `messages`; card catalog text (labels, breakdown details
+// templates) is authored in English and translated by source string through
+// the locale's `catalog`, falling back to the English text. Amounts are
+// always US dollars, formatted for the locale with Intl.NumberFormat.
+
+import en from './en.js';
+import es from './es.js';
+
+export const LOCALES = {
+  en: { label: 'ENGLISH', tag: 'en-US', ...en },
+  es: { label: 'ESPAÑOL', tag: 'es-US', ...es }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_STORAGE_KEY = 'valoretti.locale';
+
+const interpolate = (template, values = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+
+// Fallback label for a breakdown line or input key: `doorDashCredits` ->
+// `DOOR DASH CREDITS`.
+export const keyLabel = (key) => key.replace(/([A-Z]|\d+)/g, ' $1').trim().toUpperCase();
+
+export const createI18n = (locale = DEFAULT_LOCALE) => {
+  const id = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  const { tag, messages, catalog = {} } = LOCALES[id];
+
+  // Intl formatters are costly to build, so keep one per style and digits.
+  const formats = {};
+  const numberFormat = (style, digits) => {
+    const key = style + digits;
+    if (!formats[key]) {
+      formats[key] = new Intl.NumberFormat(tag, {
+        style,
+        currency: 'USD',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+      });
+    }
+    return formats[key];
+  };
+  const centsFormat = new Intl.NumberFormat(tag, { minimumFractionDigits: 1, maximumFractionDigits: 2 });
+  const monthFormat = new Intl.DateTimeFormat(tag, { month: 'short' });
+
+  const t = (messageId, values) => interpolate(messages[messageId] ?? LOCALES.en.messages[messageId] ?? messageId, values);
+
+  const tc = (text) => (text in catalog ? catalog[text] : text);
+
+  const formatCurrency = (amount, digits = 0) => numberFormat('currency', digits).format(Number(amount) || 0);
+
+  // `value` is already in percent units (ROI of 12.5 means 12.5%); null is
+  // an undefined ROI.
+  const formatPercent = (value, whole = false) => (value === null || value === undefined
+    ? t('common.notApplicable')
+    : numberFormat('percent', whole ? 0 : 1).format(value / 100));
+
+  const formatNumber = (value, digits = 0) => numberFormat('decimal', digits).format(Number(value) || 0);
+
+  // Dollars per point as cents: 0.0175 -> 1.75¢.
+  const formatCents = (dollars) => centsFormat.format(dollars * 100) + '¢';
+
+  const lineLabel = (key) => messages['line.' + key] ?? keyLabel(key);
+
+  // Label of a credit tracker period (lib/creditTracker getPeriods) of a
+  // monthly, semiannual or annual credit.
+  const periodLabel = (period, creditPeriod) => {
+    if (creditPeriod === 'monthly') return monthFormat.format(period.start).replace('.', '').toUpperCase();
+    if (creditPeriod === 'semiannual') return t('period.half', { n: period.index + 1 });
+    return period.label;
+  };
+
+  // Renders the structured `details` of a breakdown line.
+  const renderDetails = (details) => {
+    if (!details) return '';
+    const { value, points, input } = details.values || {};
+    return interpolate(tc(details.template), {
+      value: formatCurrency(value),
+      points: formatNumber(points),
+      input: formatNumber(input)
+    });
+  };
+
+  return { locale: id, tag, t, tc, formatCurrency, formatPercent, formatNumber, formatCents, lineLabel, periodLabel, renderDetails };
+};
+
+export const detectLocale = (language) =>
+  Object.keys(LOCALES).find(id => (language || '').toLowerCase().startsWith(id)) || DEFAULT_LOCALE;
+
+export const loadLocale = (storage, language) => {
+  try {
+    const stored = storage?.getItem(LOCALE_STORAGE_KEY);
+    return LOCALES[stored] ? stored : detectLocale(language);
+  } catch (error) {
+    console.error('Failed to load locale:', error);
+    return DEFAULT_LOCALE;
+  }
+};
+
+export const saveLocale = (storage, locale) => {
+  try {
+    storage?.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (error) {
+    console.error('Failed to save locale:', error);
+  }
+};
@@ -0,0 +1,39 @@
+// Keep / downgrade / cancel analysis for an existing cardholder. Every path
+// is priced with the same inputs through computeROI; the points balance is
+// revalued at the destination card's cents-per-point, or forfeited on
+// cancellation.
+
+import { getCard } from './cards/index.js';
+import { computeROI } from './roi.js';
+
+const describePath = (type, card, results, oneTime) => {
+  const annualNet = results ? results.totalValue - results.totalCost : 0;
+  return {
+    type,
+    card,
+    results,
+    annualNet,
+    oneTime,
+    firstYearNet: annualNet + oneTime
+  };
+};
+
+// `prepareCard` is applied to each destination card so it is priced on the
+// same terms as `currentCard` (the same baseline card and point valuation).
+export const analyzeProductChanges = (inputs, currentCard, prepareCard = card => card) => {
+  const balance = Math.max(inputs.pointsBalance || 0, 0);
+  const currentValue = balance * currentCard.pointValues.avg;
+
+  const paths = [
+    describePath('keep', currentCard, computeROI(inputs, currentCard), 0)
+  ];
+
+  (currentCard.productChanges || []).map(getCard).filter(Boolean).map(prepareCard).forEach(card => {
+    const revalued = balance * card.pointValues.avg;
+    paths.push(describePath('downgrade', card, computeROI(inputs, card), revalued - currentValue));
+  });
+
+  paths.push(describePath('cancel', null, null, -currentValue));
+
+  return paths.sort((a, b) => b.firstYearNet - a.firstYearNet);
+};
@@ -0,0 +1,67 @@
+// Multi-year projection built on computeROI. Each year is priced on its own:
+// the fee comes from a per-year schedule, spending grows at a fixed rate and
+// amortized reimbursements (parts with `lumpSum`, like Global Entry) are
+// booked in full in the years they are used and not at all in between.
+
+import { getSpendingKeys } from './cards/index.js';
+import { computeROI } from './roi.js';
+
+export const MAX_PROJECTION_YEARS = 5;
+
+export const defaultProjectionOptions = (card) => ({
+  years: 3,
+  spendGrowth: 0,
+  fees: Array(MAX_PROJECTION_YEARS).fill(card.annualFee),
+  lumpSumYear: 1
+});
+
+const isLumpSumYear = (year, firstYear, everyYears) =>
+  year >= firstYear && (year - firstYear) % everyYears === 0;
+
+const cardForYear = (card, year, fee, lumpSumYear) => ({
+  ...card,
+  annualFee: fee,
+  benefits: card.benefits.map(benefit => ({
+    ...benefit,
+    parts: benefit.parts.map(part => (
+      part.lumpSum
+        ? { ...part, amount: isLumpSumYear(year, lumpSumYear, part.lumpSum.everyYears) ? part.lumpSum.amount : 0 }
+        : part
+    ))
+  }))
+});
+
+const inputsForYear = (inputs, card, year, spendGrowth) => {
+  const factor = Math.pow(1 + spendGrowth / 100, year - 1);
+  const grown = { ...inputs };
+  getSpendingKeys(card).forEach(key => {
+    grown[key] = (inputs[key] || 0) * factor;
+  });
+  return grown;
+};
+
+export const projectYears = (inputs, card, options = defaultProjectionOptions(card)) => {
+  const years = Math.min(Math.max(Math.round(options.years) || 1, 1), MAX_PROJECTION_YEARS);
+  const rows = [];
+  let cumulativeNet = 0;
+
+  for (let year = 1; year <= years; year++) {
+    const fee = Math.max(Number(options.fees?.[year - 1] ?? card.annualFee) || 0, 0);
+    const results = computeROI(
+      inputsForYear(inputs, card, year, options.spendGrowth || 0),
+      cardForYear(card, year, fee, options.lumpSumYear || 1)
+    );
+    const net = results.totalValue - results.totalCost;
+    cumulativeNet += net;
+
+    rows.push({ year, fee, results, net, cumulativeNet });
+  }
+
+  const breakEven = rows.find(row => row.cumulativeNet >= 0);
+
+  return {
+    rows,
+    cumulativeNet,
+    breakEvenYear: breakEven ? breakEven.year : null
+  };
+};
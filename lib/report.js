@@ -0,0 +1,120 @@
+// Client-side exports of a calculation: a printable HTML report (saved as
+// PDF through the browser's print dialog), a CSV of the breakdown lines and
+// a JSON document that the calculator can import again.
+
+import { DEFAULT_CARD } from './cards/index.js';
+import { toCSV } from './csv.js';
+import { createI18n } from './i18n/index.js';
+import { getRecommendation } from './roi.js';
+import { migrateInputs } from './scenarios.js';
+
+export const EXPORT_FORMAT = 'valoretti-roi';
+export const EXPORT_VERSION = 1;
+
+const percent = (roi) => (roi === null ? 'N/A' : roi.toFixed(1) + '%');
+
+// The CSV is meant for spreadsheets, so it stays in English with plain
+// numbers whatever the UI language.
+const english = createI18n('en');
+
+export const breakdownToCSV = (results) => toCSV([
+  ['line', 'details', 'min', 'value', 'max'],
+  ...Object.entries(results.breakdown).map(([key, line]) => [
+    key,
+    english.renderDetails(line.details),
+    line.min.toFixed(2),
+    line.value.toFixed(2),
+    line.max.toFixed(2)
+  ]),
+  ['totalValue', '', '', results.totalValue.toFixed(2), ''],
+  ['totalCost', '', '', results.totalCost.toFixed(2), ''],
+  ['roi', '', percent(results.minROI), percent(results.roi), percent(results.maxROI)]
+]);
+
+export const buildExportDocument = (inputs, results, card = DEFAULT_CARD) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  card: { id: card.id, version: card.version },
+  inputs,
+  results,
+  recommendation: getRecommendation(results)
+});
+
+// Reads a document produced by buildExportDocument and returns inputs
+// migrated to the current catalog. Throws on anything else.
+export const parseExportDocument = (text, card = DEFAULT_CARD) => {
+  const parsed = JSON.parse(text);
+  if (!parsed || parsed.format !== EXPORT_FORMAT || typeof parsed.inputs !== 'object') {
+    throw new Error('Not a Valoretti ROI export');
+  }
+  return migrateInputs(parsed.inputs, parsed.card?.version, card);
+};
+
+const escapeHTML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// `i18n` is a lib/i18n translator; the report follows the UI language.
+export const buildReportHTML = (inputs, results, card = DEFAULT_CARD, i18n = english) => {
+  const { t, formatCurrency: money, formatPercent, lineLabel, renderDetails } = i18n;
+  const header = (id) => escapeHTML(t(id));
+  const recommendation = getRecommendation(results);
+  const inputRows = Object.entries(inputs)
+    .map(([key, value]) => `<tr><td>${escapeHTML(lineLabel(key))}</td><td class="num">${escapeHTML(value)}</td></tr>`)
+    .join('');
+  const breakdownRows = Object.entries(results.breakdown)
+    .map(([key, line]) => `<tr><td>${escapeHTML(lineLabel(key))}</td><td>${escapeHTML(renderDetails(line.details))}</td>` +
+      `<td class="num">${money(line.min)}</td><td class="num">${money(line.value)}</td><td class="num">${money(line.max)}</td></tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHTML(i18n.locale)}">
+<head>
+<meta charset="utf-8">
+<title>Valoretti - ${escapeHTML(t('report.title', { card: card.name }))}</title>
+<style>
+  body { font-family: Futura, "Trebuchet MS", Arial, sans-serif; color: #000; margin: 32px; }
+  h1 { color: #C8512F; margin-bottom: 0; }
+  h2 { border-bottom: 4px solid #3D405B; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+  td, th { border-bottom: 1px solid #E9C46A; padding: 4px 8px; text-align: left; }
+  .num { text-align: right; }
+  .verdict { font-size: 24px; font-weight: 900; }
+</style>
+</head>
+<body>
+<h1>VALORETTI</h1>
+<div>${escapeHTML(t('report.subtitle', {
+    card: card.name.toUpperCase(),
+    version: card.version,
+    date: new Date().toLocaleDateString(i18n.tag)
+  }))}</div>
+
+<h2>${escapeHTML(t('report.result'))}</h2>
+<table>
+  <tr><td>${escapeHTML(t('roi.annualFee'))}</td><td class="num">${money(-results.totalCost)}</td></tr>
+  <tr><td>${escapeHTML(t('roi.benefitValue'))}</td><td class="num">${money(results.totalValue)}</td></tr>
+  <tr><td>${escapeHTML(t('roi.netValue'))}</td><td class="num">${money(recommendation.net)}</td></tr>
+  <tr><td>${escapeHTML(t('roi.returnOnInvestment'))}</td><td class="num">${formatPercent(results.roi)}</td></tr>
+  <tr><td>${escapeHTML(t('report.range'))}</td><td class="num">${escapeHTML(t('common.range', {
+    min: formatPercent(results.minROI),
+    max: formatPercent(results.maxROI)
+  }))}</td></tr>
+</table>
+<div class="verdict">${escapeHTML(t(recommendation.recommended ? 'verdict.recommended' : 'verdict.notRecommended'))}</div>
+<div>${escapeHTML(t(recommendation.recommended ? 'verdict.keep' : 'verdict.considerAlternatives'))}</div>
+
+<h2>${escapeHTML(t('breakdown.title'))}</h2>
+<table>
+  <tr><th>${header('report.line')}</th><th>${header('report.details')}</th><th class="num">${header('report.min')}</th><th class="num">${header('report.value')}</th><th class="num">${header('report.max')}</th></tr>
+  ${breakdownRows}
+</table>
+
+<h2>${escapeHTML(t('report.inputs'))}</h2>
+<table>${inputRows}</table>
+</body>
+</html>`;
+};
@@ -0,0 +1,261 @@
+// Pure ROI engine shared by the calculator UI and anything else that needs
+// the numbers (scripts, reports). No React, no DOM. All card terms come from
+// the catalog in lib/cards.
+
+import {
+  DEFAULT_CARD,
+  authorizedUserKey,
+  getAuthorizedUserBenefits,
+  getAuthorizedUserCount,
+  getDefaultInputs,
+  getSpendingKeys
+} from './cards/index.js';
+
+export const DEFAULT_CONFIG = DEFAULT_CARD;
+
+export const DEFAULT_INPUTS = getDefaultInputs(DEFAULT_CARD);
+
+export const SPENDING_KEYS = getSpendingKeys(DEFAULT_CARD);
+
+export const emptyResults = (config = DEFAULT_CONFIG) => {
+  const roi = config.annualFee > 0 ? -100 : null;
+  return {
+    totalValue: 0,
+    totalCost: config.annualFee,
+    roi,
+    minROI: roi,
+    maxROI: roi,
+    breakdown: {}
+  };
+};
+
+// Coerces every field to a finite number or a boolean; anything else becomes 0.
+export const validateInputs = (inputs) => {
+  if (!inputs || typeof inputs !== 'object') {
+    throw new Error('Invalid inputs: must be an object');
+  }
+
+  const safe = {};
+  Object.keys(inputs).forEach(key => {
+    const value = inputs[key];
+    if (typeof value === 'number') {
+      safe[key] = isNaN(value) || !isFinite(value) ? 0 : value;
+    } else if (typeof value === 'boolean') {
+      safe[key] = value;
+    } else {
+      safe[key] = 0;
+    }
+  });
+
+  return safe;
+};
+
+export const isValidResults = (results) => {
+  if (!results || typeof results !== 'object') return false;
+
+  const requiredKeys = ['totalValue', 'totalCost', 'roi', 'minROI', 'maxROI', 'breakdown'];
+  return requiredKeys.every(key => key in results);
+};
+
+export const getTotalAnnualSpending = (inputs, config = DEFAULT_CONFIG) => {
+  const total = getSpendingKeys(config).reduce((sum, key) => sum + (inputs?.[key] || 0), 0);
+  return isNaN(total) ? 0 : total;
+};
+
+// Spending that counts toward the high-spender threshold, including what
+// authorized users put on the account.
+export const getQualifyingSpend = (inputs, config = DEFAULT_CONFIG) => {
+  if (!config.highSpender) return 0;
+  const keys = config.highSpender.qualifyingSpend || getSpendingKeys(config);
+  const ownSpend = keys.reduce((sum, key) => sum + (inputs?.[key] || 0), 0);
+  const userSpend = Array.from({ length: getAuthorizedUserCount(inputs, config) }, (_, index) =>
+    inputs[authorizedUserKey(index + 1, 'Spend')] || 0
+  ).reduce((sum, spend) => sum + spend, 0);
+  const total = ownSpend + userSpend;
+  return isNaN(total) ? 0 : total;
+};
+
+// Annual fee plus the fee for each authorized user.
+export const getAnnualCost = (inputs, config = DEFAULT_CONFIG) =>
+  config.annualFee + getAuthorizedUserCount(inputs, config) * (config.authorizedUsers?.fee || 0);
+
+export const qualifiesForHighSpender = (inputs, config = DEFAULT_CONFIG) =>
+  Boolean(config.highSpender) &&
+  getQualifyingSpend(inputs, config) >= config.highSpender.threshold;
+
+const clamp = (value, min, max) => Math.min(Math.max(value || 0, min), max);
+
+// ROI is undefined without a fee; no-fee cards are compared on net value.
+const toROI = (value, cost) => {
+  if (cost <= 0) return null;
+  return value > 0 ? ((value - cost) / cost) * 100 : -100;
+};
+
+// Returns { cash, points } contributed by one catalog benefit part.
+const evaluatePart = (part, inputs, config) => {
+  if (part.trackedInput && typeof inputs[part.trackedInput] === 'number') {
+    return { cash: clamp(inputs[part.trackedInput], 0, part.cap ?? Infinity), points: 0 };
+  }
+
+  const input = inputs[part.input] || 0;
+
+  switch (part.kind) {
+    case 'earn':
+      return {
+        cash: 0,
+        points: config.earn.reduce(
+          (sum, category) => sum + (inputs[category.key] || 0) * category.multiplier,
+          0
+        )
+      };
+    case 'spendPoints':
+      return { cash: 0, points: getTotalAnnualSpending(inputs, config) * part.rate };
+    case 'credit':
+      return { cash: clamp(input, 0, part.cap ?? Infinity), points: 0 };
+    case 'periodCredit':
+      return {
+        cash: part.inputs.reduce((sum, key) => sum + clamp(inputs[key], 0, part.cap), 0),
+        points: 0
+      };
+    case 'perUnit':
+      return { cash: Math.min(input * part.rate, part.cap ?? Infinity), points: 0 };
+    case 'toggle':
+      if (typeof input === 'number') return { cash: part.amount * clamp(input, 0, 1), points: 0 };
+      return { cash: input ? part.amount : 0, points: 0 };
+    case 'fixed':
+      return { cash: part.amount * (part.usage ?? 1), points: 0 };
+    case 'bonusPoints':
+      return input > 0
+        ? { cash: 0, points: Math.min(input, part.maxInput ?? Infinity) * part.rate }
+        : { cash: 0, points: 0 };
+    case 'annualPoints':
+      return { cash: 0, points: part.points };
+    case 'baseline':
+      return {
+        cash: -Object.entries(part.rates).reduce((sum, [key, rate]) => sum + (inputs[key] || 0) * rate, 0),
+        points: 0
+      };
+    default:
+      throw new Error('Unknown benefit part kind: ' + part.kind);
+  }
+};
+
+// Share of a subscription's retail price the user would actually count.
+export const getPerceivedShare = (inputs, key) => {
+  if (inputs[key + 'HaveElsewhere']) return 0;
+  if (inputs[key + 'WouldPay']) return 1;
+  return clamp(inputs[key + 'PerceivedValue'], 0, 100) / 100;
+};
+
+const sumParts = (benefit, inputs, config) => {
+  let cash = 0;
+  let retailCash = 0;
+  let points = 0;
+  benefit.parts.forEach(part => {
+    const contribution = evaluatePart(part, inputs, config);
+    const share = part.perceived ? getPerceivedShare(inputs, part.perceived) : 1;
+    cash += contribution.cash * share;
+    retailCash += contribution.cash;
+    points += contribution.points;
+  });
+
+  if (isNaN(points) || !isFinite(points)) {
+    throw new Error('Invalid points calculation');
+  }
+
+  return { cash, points, retailCash };
+};
+
+// Cash and points behind each benefit line that applies to these inputs,
+// before any valuation. Shared with lib/simulation.js so the simulation
+// samples exactly the lines computeROI prices.
+export const getBenefitAmounts = (inputs, config = DEFAULT_CONFIG) => {
+  const safeInputs = validateInputs(inputs);
+  const isHighSpender = qualifiesForHighSpender(safeInputs, config);
+  const userCount = getAuthorizedUserCount(safeInputs, config);
+
+  return [...config.benefits, ...getAuthorizedUserBenefits(config)]
+    .filter(benefit => benefit.requires !== 'highSpender' || isHighSpender)
+    .filter(benefit => !benefit.authorizedUser || benefit.authorizedUser <= userCount)
+    .map(benefit => ({ benefit, ...sumParts(benefit, safeInputs, config) }));
+};
+
+const evaluateBenefit = ({ benefit, cash, points, retailCash }, inputs, config) => {
+  const { pointValues } = config;
+  const value = cash + points * pointValues.avg;
+  const range = benefit.range
+    ? { min: value * benefit.range.min, max: value * benefit.range.max }
+    : { min: cash + points * pointValues.min, max: cash + points * pointValues.max };
+  const retail = benefit.parts.some(part => part.perceived)
+    ? { retail: retailCash + points * pointValues.avg }
+    : {};
+
+  return {
+    value,
+    ...range,
+    ...retail,
+    // Structured so each UI can render it in its own language; see
+    // renderDetails in lib/i18n.
+    details: {
+      template: benefit.details,
+      values: { value, points, input: inputs[benefit.parts[0].input] || 0 }
+    }
+  };
+};
+
+export const computeROI = (inputs, config = DEFAULT_CONFIG) => {
+  try {
+    const safeInputs = validateInputs(inputs);
+    const annualCost = getAnnualCost(safeInputs, config);
+    const breakdown = {};
+
+    getBenefitAmounts(safeInputs, config).forEach(amounts => {
+      const line = evaluateBenefit(amounts, safeInputs, config);
+      if (line.value > 0 || line.retail > 0 || amounts.benefit.showWhenZero) {
+        breakdown[amounts.benefit.key] = line;
+      }
+    });
+
+    const sumOf = (field) => Object.values(breakdown).reduce((sum, benefit) => {
+      const value = benefit?.[field] || 0;
+      return sum + (isNaN(value) ? 0 : value);
+    }, 0);
+
+    const totalValue = sumOf('value');
+    const roi = toROI(totalValue, annualCost);
+    const minROI = toROI(sumOf('min'), annualCost);
+    const maxROI = toROI(sumOf('max'), annualCost);
+
+    const safeROI = (value) => (value === null || !isNaN(value) ? value : -100);
+
+    const results = {
+      totalValue: isNaN(totalValue) ? 0 : totalValue,
+      totalCost: annualCost,
+      roi: safeROI(roi),
+      minROI: safeROI(minROI),
+      maxROI: safeROI(maxROI),
+      breakdown
+    };
+
+    if (!isValidResults(results)) {
+      throw new Error('Invalid calculation results structure');
+    }
+
+    return results;
+  } catch (error) {
+    console.error('ROI calculation error:', error);
+    return emptyResults(config);
+  }
+};
+
+// Verdict shown under the results; shared so every output agrees with the UI.
+export const getRecommendation = (results) => {
+  const net = results.totalValue - results.totalCost;
+  const recommended = results.roi === null ? net > 0 : results.roi > 0;
+  return {
+    recommended,
+    net,
+    verdict: recommended ? 'RECOMMENDED' : 'NOT RECOMMENDED',
+    summary: recommended ? 'POSITIVE ROI: KEEP THE CARD' : 'NEGATIVE ROI: CONSIDER ALTERNATIVES'
+  };
+};
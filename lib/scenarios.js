@@ -0,0 +1,179 @@
+// Named spending scenarios saved in localStorage. Every function here is
+// pure and returns a new store; the storage object is passed in so the same
+// code works against window.localStorage or anything with the same API.
+//
+// Stored shape:
+//   { version, activeId, scenarios: [{ id, name, inputs, catalogVersion, updatedAt }] }
+
+import { DEFAULT_CARD } from './cards/index.js';
+import { DEFAULT_INPUTS, validateInputs } from './roi.js';
+
+export const STORAGE_KEY = 'valoretti.scenarios';
+export const STORE_VERSION = 1;
+
+// Input key changes, oldest first. Each entry upgrades inputs saved against
+// an older catalog version; `version` is the catalog version that introduced
+// the change. Keys missing from DEFAULT_INPUTS are dropped after migration
+// and new keys pick up their defaults, so only renames and reshapes need an
+// entry here.
+export const INPUT_MIGRATIONS = [
+  {
+    // Dining and StubHub credits split into semiannual buckets; annual
+    // amounts are assumed to have been used evenly across the two halves.
+    version: '2025-06-24',
+    migrate: (inputs) => {
+      const { diningCredit, stubhubSpending, ...rest } = inputs;
+      const half = (annual) => Math.min(Math.max(annual, 0) / 2, 150);
+      if (typeof diningCredit === 'number') {
+        rest.diningCreditH1 = half(diningCredit);
+        rest.diningCreditH2 = half(diningCredit);
+      }
+      if (typeof stubhubSpending === 'number') {
+        rest.stubhubH1 = half(stubhubSpending);
+        rest.stubhubH2 = half(stubhubSpending);
+      }
+      return rest;
+    }
+  },
+  {
+    // High-spender perks priced from usage instead of on/off toggles; a
+    // checked perk keeps the value its toggle used to add.
+    version: '2025-06-25',
+    migrate: (inputs) => {
+      const { useShopsCredit, useSouthwestCredit, useIHGDiamond, useSouthwestAList, ...rest } = inputs;
+      if (useShopsCredit) rest.shopsCreditUsage = 250;
+      if (useSouthwestCredit) rest.southwestCreditUsage = 500;
+      if (useIHGDiamond) rest.ihgNights = 10;
+      if (useSouthwestAList) rest.southwestFlights = 10;
+      return rest;
+    }
+  }
+];
+
+export const emptyStore = () => ({
+  version: STORE_VERSION,
+  activeId: null,
+  scenarios: []
+});
+
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+// Toggles may also hold the used share of their benefit (0 to 1), as the
+// credit tracker and lib/validation.js allow.
+const hasInputType = (value, defaultValue) =>
+  typeof value === typeof defaultValue ||
+  (typeof defaultValue === 'boolean' && typeof value === 'number' && value >= 0 && value <= 1);
+
+// Dollar inputs the credit tracker writes for parts that share their input
+// (see `trackedInput` in lib/cards); exports priced with tracking carry them.
+const getTrackedInputKeys = (card) => card.benefits
+  .flatMap(benefit => benefit.parts)
+  .map(part => part.trackedInput)
+  .filter(Boolean);
+
+// Brings saved inputs up to the current catalog: runs pending migrations,
+// then keeps only known keys with the right types, plus tracked dollars.
+export const migrateInputs = (inputs, fromVersion, card = DEFAULT_CARD) => {
+  const migrated = INPUT_MIGRATIONS
+    .filter(migration => !fromVersion || migration.version > fromVersion)
+    .filter(migration => migration.version <= card.version)
+    .reduce((current, migration) => migration.migrate(current), { ...inputs });
+
+  const safe = validateInputs(migrated);
+  const normalized = { ...DEFAULT_INPUTS };
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    if (key in safe && hasInputType(safe[key], DEFAULT_INPUTS[key])) {
+      normalized[key] = safe[key];
+    }
+  });
+  getTrackedInputKeys(card).forEach(key => {
+    if (typeof migrated[key] === 'number') normalized[key] = safe[key];
+  });
+  return normalized;
+};
+
+export const migrateScenario = (scenario, card = DEFAULT_CARD) => {
+  if (scenario.catalogVersion === card.version) return scenario;
+  return {
+    ...scenario,
+    inputs: migrateInputs(scenario.inputs || {}, scenario.catalogVersion, card),
+    catalogVersion: card.version
+  };
+};
+
+export const loadStore = (storage, card = DEFAULT_CARD) => {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    if (!raw) return emptyStore();
+
+    const parsed = JSON.parse(raw);
+    if (!parsed || !Array.isArray(parsed.scenarios)) return emptyStore();
+
+    const scenarios = parsed.scenarios
+      .filter(scenario => scenario && scenario.id && scenario.name)
+      .map(scenario => migrateScenario(scenario, card));
+    const activeId = scenarios.some(s => s.id === parsed.activeId) ? parsed.activeId : null;
+
+    return { version: STORE_VERSION, activeId, scenarios };
+  } catch (error) {
+    console.error('Failed to load scenarios:', error);
+    return emptyStore();
+  }
+};
+
+export const saveStore = (storage, store) => {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(store));
+    return true;
+  } catch (error) {
+    console.error('Failed to save scenarios:', error);
+    return false;
+  }
+};
+
+export const getActiveScenario = (store) =>
+  store.scenarios.find(scenario => scenario.id === store.activeId) || null;
+
+export const createScenario = (store, name, inputs, card = DEFAULT_CARD) => {
+  const scenario = {
+    id: newId(),
+    name: name.trim() || 'Untitled',
+    inputs: { ...inputs },
+    catalogVersion: card.version,
+    updatedAt: new Date().toISOString()
+  };
+  return {
+    ...store,
+    activeId: scenario.id,
+    scenarios: [...store.scenarios, scenario]
+  };
+};
+
+export const updateScenario = (store, id, changes) => ({
+  ...store,
+  scenarios: store.scenarios.map(scenario => (
+    scenario.id === id
+      ? { ...scenario, ...changes, updatedAt: new Date().toISOString() }
+      : scenario
+  ))
+});
+
+export const duplicateScenario = (store, id, card = DEFAULT_CARD) => {
+  const source = store.scenarios.find(scenario => scenario.id === id);
+  if (!source) return store;
+  return createScenario(store, source.name + ' (copy)', source.inputs, card);
+};
+
+export const deleteScenario = (store, id) => ({
+  ...store,
+  activeId: store.activeId === id ? null : store.activeId,
+  scenarios: store.scenarios.filter(scenario => scenario.id !== id)
+});
+
+export const setActiveScenario = (store, id) => ({
+  ...store,
+  activeId: store.scenarios.some(scenario => scenario.id === id) ? id : null
+});
+
+export const inputsEqual = (a, b) =>
+  Object.keys(DEFAULT_INPUTS).every(key => a?.[key] === b?.[key]);
@@ -0,0 +1,137 @@
+// Break-even solver and input sensitivity, both done by re-running
+// computeROI while one numeric input varies and everything else is held.
+
+import { getInputLimit, getSpendingKeys } from './cards/index.js';
+import { DEFAULT_INPUTS, computeROI, getQualifyingSpend, getTotalAnnualSpending } from './roi.js';
+
+// Top of the sweep for spending categories that are currently zero.
+export const DEFAULT_SPENDING_SWEEP = 10000;
+
+// Least total spend the ROI-versus-spend curve runs to.
+export const DEFAULT_CURVE_SPEND = 100000;
+
+// Numeric inputs worth sweeping: everything in DEFAULT_INPUTS that isn't a
+// boolean toggle.
+export const getNumericInputKeys = (inputs = DEFAULT_INPUTS) =>
+  Object.keys(inputs).filter(key => typeof DEFAULT_INPUTS[key] === 'number' && key !== 'pointsBalance');
+
+const roiAt = (inputs, card, key, value) => computeROI({ ...inputs, [key]: value }, card).roi;
+
+// Smallest value of `key` at which ROI reaches 0%, searched between 0 and the
+// input's limit from the catalog (or `upperBound` for spending). Returns
+// { value, reachable } where `reachable` is false when ROI stays negative
+// across the whole range (e.g. a capped credit cannot close the gap on its
+// own). `value` is 0 when ROI is already positive at 0.
+export const solveBreakEven = (inputs, card, key, { upperBound = 1000000, tolerance = 1 } = {}) => {
+  const limit = getInputLimit(card, key) ?? upperBound;
+
+  if (roiAt(inputs, card, key, 0) >= 0) {
+    return { value: 0, reachable: true };
+  }
+
+  let high = Math.min(Math.max(inputs[key] || 0, 1), limit);
+  while (roiAt(inputs, card, key, high) < 0) {
+    if (high >= limit) return { value: null, reachable: false };
+    high = Math.min(high * 2, limit);
+  }
+
+  let low = 0;
+  while (high - low > tolerance) {
+    const mid = (low + high) / 2;
+    if (roiAt(inputs, card, key, mid) >= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return { value: Math.ceil(high), reachable: true };
+};
+
+// Tornado data: ROI with each input at its low and high sweep value, sorted
+// by how much the ROI moves. An input sweeps from zero to double its current
+// value, capped at its catalog limit; inputs at zero sweep up to that limit
+// (or DEFAULT_SPENDING_SWEEP for spending).
+export const computeSensitivity = (inputs, card, {
+  keys = getNumericInputKeys(inputs),
+  spread = 1
+} = {}) => {
+  const baseline = computeROI(inputs, card);
+
+  const rows = keys.map(key => {
+    const current = inputs[key] || 0;
+    const low = Math.max(current * (1 - spread), 0);
+    const limit = getInputLimit(card, key);
+    const high = current > 0
+      ? Math.min(current * (1 + spread), limit ?? Infinity)
+      : limit ?? DEFAULT_SPENDING_SWEEP;
+    const lowROI = roiAt(inputs, card, key, low);
+    const highROI = roiAt(inputs, card, key, high);
+
+    return {
+      key,
+      current,
+      low,
+      high,
+      lowROI,
+      highROI,
+      swing: Math.abs(highROI - lowROI)
+    };
+  });
+
+  return {
+    baselineROI: baseline.roi,
+    rows: rows.filter(row => row.swing > 0).sort((a, b) => b.swing - a.swing)
+  };
+};
+
+// ROI-versus-spend curve: the cardholder's spending scaled from zero in the
+// current category mix (all of it in the last spending category while
+// nothing is entered), everything else held. Runs to `maxSpend`, by default
+// past both today's spend and the high-spender threshold. Returns
+// { points: [{ spend, roi }], currentSpend, thresholdSpend } where
+// `thresholdSpend` is the total at which the high-spender tier unlocks
+// (authorized users' spend counts toward it), or null when it can't.
+export const computeSpendCurve = (inputs, card, { steps = 48, maxSpend } = {}) => {
+  const keys = getSpendingKeys(card);
+  const currentSpend = getTotalAnnualSpending(inputs, card);
+  const mix = {};
+  keys.forEach(key => {
+    mix[key] = currentSpend > 0 ? (inputs[key] || 0) / currentSpend : 0;
+  });
+  if (currentSpend === 0) mix[keys[keys.length - 1]] = 1;
+
+  const atSpend = (spend) => {
+    const scaled = { ...inputs };
+    keys.forEach(key => {
+      scaled[key] = spend * mix[key];
+    });
+    return scaled;
+  };
+
+  let thresholdSpend = null;
+  if (card.highSpender) {
+    // Qualifying spend grows linearly with the total: authorized users'
+    // spend plus the qualifying share of each dollar
+    const userSpend = getQualifyingSpend(atSpend(0), card);
+    const share = getQualifyingSpend(atSpend(1), card) - userSpend;
+    if (userSpend >= card.highSpender.threshold) {
+      thresholdSpend = 0;
+    } else if (share > 0) {
+      thresholdSpend = Math.ceil((card.highSpender.threshold - userSpend) / share);
+    }
+  }
+
+  const top = maxSpend ?? Math.max(currentSpend * 1.5, (thresholdSpend ?? 0) * 1.5, DEFAULT_CURVE_SPEND);
+  const spends = Array.from({ length: steps + 1 }, (_, index) => (top * index) / steps);
+  // Sample both sides of the threshold so the jump in the curve is vertical
+  if (thresholdSpend > 0) spends.push(thresholdSpend - 1, thresholdSpend);
+  spends.push(currentSpend);
+
+  const points = [...new Set(spends)]
+    .filter(spend => spend <= top)
+    .sort((a, b) => a - b)
+    .map(spend => ({ spend, roi: computeROI(atSpend(spend), card).roi }));
+
+  return { points, currentSpend, thresholdSpend };
+};
@@ -0,0 +1,47 @@
+// Serializes the calculator inputs into a compact URL hash
+// (`#chaseTravel=5000&appleServices=1`) and back. Only values that differ
+// from the defaults are written, so links stay short and keys the
+// calculator no longer knows about are simply dropped on load.
+
+import { DEFAULT_INPUTS, validateInputs } from './roi.js';
+
+export const encodeInputs = (inputs, defaults = DEFAULT_INPUTS) => {
+  const params = new URLSearchParams();
+  Object.keys(defaults).forEach(key => {
+    const value = inputs[key];
+    if (value === undefined || value === defaults[key]) return;
+    params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+  });
+  return params.toString();
+};
+
+// Parses a hash or query string into a full inputs object. Malformed values
+// fall back to the default for that key instead of failing the whole link.
+export const decodeInputs = (encoded, defaults = DEFAULT_INPUTS) => {
+  const params = new URLSearchParams((encoded || '').replace(/^[#?]/, ''));
+  const decoded = {};
+
+  Object.keys(defaults).forEach(key => {
+    if (!params.has(key)) return;
+    const raw = params.get(key);
+
+    if (typeof defaults[key] === 'boolean') {
+      // Toggles may also hold the used share of their benefit (0 to 1), as
+      // lib/validation.js allows
+      const share = Number(raw);
+      if (raw === '1' || raw === 'true') decoded[key] = true;
+      else if (raw !== '' && share > 0 && share < 1) decoded[key] = share;
+      else decoded[key] = false;
+    } else {
+      const value = Number(raw);
+      if (raw !== '' && isFinite(value)) decoded[key] = value;
+    }
+  });
+
+  return { ...defaults, ...validateInputs(decoded) };
+};
+
+export const buildShareUrl = (location, inputs) => {
+  const hash = encodeInputs(inputs);
+  return location.origin + location.pathname + location.search + (hash ? '#' + hash : '');
+};
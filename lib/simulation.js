@@ -0,0 +1,100 @@
+// Monte Carlo view of the ROI. Instead of summing every line's worst (or
+// best) case, each iteration samples one point valuation shared by all
+// points-based lines plus an independent usage factor per benefit, then
+// reports how often the card pays for itself and the percentile bands.
+
+import { getAnnualCost, getBenefitAmounts } from './roi.js';
+
+export const DEFAULT_ITERATIONS = 5000;
+
+export const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+// Small seeded PRNG (mulberry32) so the same inputs always give the same
+// bands and the UI doesn't flicker between renders.
+export const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const sampleDistribution = (distribution, random) => {
+  if (!distribution) return 1;
+
+  switch (distribution.type) {
+    case 'triangular': {
+      const { min, mode, max } = distribution;
+      if (max <= min) return mode;
+      const u = random();
+      const cut = (mode - min) / (max - min);
+      return u < cut
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'uniform':
+      return distribution.min + random() * (distribution.max - distribution.min);
+    case 'bernoulli':
+      return random() < distribution.p ? 1 : 0;
+    default:
+      throw new Error('Unknown distribution type: ' + distribution.type);
+  }
+};
+
+export const getBenefitDistribution = (benefit) => {
+  if (benefit.distribution) return benefit.distribution;
+  if (benefit.range) {
+    return { type: 'triangular', min: benefit.range.min, mode: 1, max: benefit.range.max };
+  }
+  return null;
+};
+
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * (p / 100);
+  const low = Math.floor(index);
+  const high = Math.ceil(index);
+  return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+};
+
+export const simulateROI = (inputs, card, { iterations = DEFAULT_ITERATIONS, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const lines = getBenefitAmounts(inputs, card).map(line => ({
+    ...line,
+    distribution: getBenefitDistribution(line.benefit)
+  }));
+  const { pointValues } = card;
+  const annualCost = getAnnualCost(inputs, card);
+  const pointDistribution = { type: 'triangular', min: pointValues.min, mode: pointValues.avg, max: pointValues.max };
+
+  const nets = new Array(iterations);
+  for (let i = 0; i < iterations; i++) {
+    const centsPerPoint = sampleDistribution(pointDistribution, random);
+    let total = 0;
+    lines.forEach(({ cash, points, distribution }) => {
+      total += (cash + points * centsPerPoint) * sampleDistribution(distribution, random);
+    });
+    nets[i] = total - annualCost;
+  }
+
+  nets.sort((a, b) => a - b);
+  const toROI = (net) => (annualCost > 0 ? (net / annualCost) * 100 : null);
+
+  const percentiles = {};
+  PERCENTILES.forEach(p => {
+    const net = percentile(nets, p);
+    percentiles['p' + p] = { net, roi: toROI(net) };
+  });
+
+  const mean = nets.reduce((sum, net) => sum + net, 0) / iterations;
+
+  return {
+    iterations,
+    probPositive: nets.filter(net => net > 0).length / iterations,
+    meanNet: mean,
+    meanROI: toROI(mean),
+    percentiles
+  };
+};
@@ -0,0 +1,130 @@
+// Turns a bank transaction export into the four annual spending inputs.
+// Everything runs client-side: parse the CSV, normalize rows from Chase or
+// generic layouts, classify each purchase, then annualize the totals.
+
+import { parseCSVRecords } from './csv.js';
+import { SPENDING_KEYS } from './roi.js';
+
+const COLUMN_ALIASES = {
+  date: ['Transaction Date', 'Trans. Date', 'Date', 'Posting Date', 'Post Date'],
+  description: ['Description', 'Merchant', 'Payee', 'Name'],
+  category: ['Category', 'Merchant Category', 'MCC'],
+  type: ['Type', 'Transaction Type'],
+  amount: ['Amount'],
+  debit: ['Debit'],
+  credit: ['Credit']
+};
+
+// Checked in order; the first matching rule wins. `mcc` ranges cover
+// exports that carry merchant category codes instead of Chase categories.
+export const CLASSIFICATION_RULES = [
+  {
+    category: 'chaseTravel',
+    description: /CHASE TRAVEL|CL \*CHASE/i
+  },
+  {
+    category: 'flightsHotels',
+    description: /AIRLINE|AIRWAYS|AIR LINES|DELTA AIR|UNITED \d|AMERICAN AIR|SOUTHWEST|JETBLUE|ALASKA AIR|SPIRIT AIR|FRONTIER|HILTON|MARRIOTT|HYATT|\bIHG\b|HOLIDAY INN|HOTEL|RESORT|\bINN\b/i,
+    mcc: [[3000, 3350], [3500, 3999], [4511, 4511], [7011, 7011]]
+  },
+  {
+    category: 'dining',
+    chaseCategory: /^Food & Drink$/i,
+    mcc: [[5812, 5814]]
+  }
+];
+
+const pickColumn = (headers, aliases) =>
+  aliases.find(alias => headers.some(header => header.toLowerCase() === alias.toLowerCase()));
+
+const readColumn = (record, headers, aliases) => {
+  const alias = pickColumn(headers, aliases);
+  if (!alias) return '';
+  const header = headers.find(name => name.toLowerCase() === alias.toLowerCase());
+  return record[header] || '';
+};
+
+const parseAmount = (raw) => {
+  const cleaned = String(raw).replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '-$1');
+  const value = parseFloat(cleaned);
+  return isNaN(value) ? 0 : value;
+};
+
+const isPayment = (type, description) =>
+  /payment|adjustment/i.test(type) || /PAYMENT THANK YOU|AUTOMATIC PAYMENT|AUTOPAY/i.test(description);
+
+export const classifyTransaction = ({ description, category }) => {
+  const mcc = parseInt(category, 10);
+
+  const rule = CLASSIFICATION_RULES.find(candidate => (
+    (candidate.description && candidate.description.test(description)) ||
+    (candidate.chaseCategory && candidate.chaseCategory.test(category)) ||
+    (candidate.mcc && !isNaN(mcc) && candidate.mcc.some(([low, high]) => mcc >= low && mcc <= high))
+  ));
+
+  return rule ? rule.category : 'otherSpending';
+};
+
+// Returns purchases (and refunds, as negative spend) with a classification.
+// Chase exports purchases as negative amounts; generic exports usually as
+// positive ones, so the sign is inferred from the majority of rows.
+export const parseTransactions = (text) => {
+  const { headers, records } = parseCSVRecords(text);
+  if (!pickColumn(headers, COLUMN_ALIASES.date) || !pickColumn(headers, COLUMN_ALIASES.description)) {
+    throw new Error('Unrecognized CSV: expected date and description columns');
+  }
+
+  const rows = records.map((record, index) => {
+    const type = readColumn(record, headers, COLUMN_ALIASES.type);
+    const description = readColumn(record, headers, COLUMN_ALIASES.description);
+    const category = readColumn(record, headers, COLUMN_ALIASES.category);
+    const amount = pickColumn(headers, COLUMN_ALIASES.amount)
+      ? parseAmount(readColumn(record, headers, COLUMN_ALIASES.amount))
+      : parseAmount(readColumn(record, headers, COLUMN_ALIASES.debit)) -
+        parseAmount(readColumn(record, headers, COLUMN_ALIASES.credit));
+
+    return {
+      id: index,
+      date: new Date(readColumn(record, headers, COLUMN_ALIASES.date)),
+      description,
+      category,
+      type,
+      amount
+    };
+  }).filter(row => !isNaN(row.date.getTime()) && row.amount !== 0 && !isPayment(row.type, row.description));
+
+  const negatives = rows.filter(row => row.amount < 0).length;
+  const purchasesAreNegative = negatives > rows.length / 2;
+
+  return rows.map(row => {
+    const spend = purchasesAreNegative ? -row.amount : row.amount;
+    return { ...row, spend, assigned: classifyTransaction(row) };
+  });
+};
+
+// Minimum window used when scaling to a year, so a handful of transactions
+// from one week doesn't get multiplied by 52.
+export const MIN_ANNUALIZE_DAYS = 30;
+
+export const annualizeTransactions = (transactions) => {
+  const totals = {};
+  SPENDING_KEYS.forEach(key => {
+    totals[key] = 0;
+  });
+  if (transactions.length === 0) return { totals, annualized: { ...totals }, days: 0 };
+
+  const times = transactions.map(row => row.date.getTime());
+  const days = Math.round((Math.max(...times) - Math.min(...times)) / 86400000) + 1;
+  const factor = 365 / Math.max(days, MIN_ANNUALIZE_DAYS);
+
+  transactions.forEach(row => {
+    totals[row.assigned] += row.spend;
+  });
+
+  const annualized = {};
+  SPENDING_KEYS.forEach(key => {
+    annualized[key] = Math.max(Math.round(totals[key] * factor), 0);
+  });
+
+  return { totals, annualized, days };
+};
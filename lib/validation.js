@@ -0,0 +1,45 @@
+// Strict checks for inputs that arrive from outside the calculator (the JSON
+// API). Unlike validateInputs in ./roi.js, which quietly coerces anything it
+// doesn't understand to 0, this reports every bad field so the caller can fix
+// its request.
+
+import { DEFAULT_CARD, getDefaultInputs } from './cards/index.js';
+
+const checkField = (value, defaultValue, field) => {
+  if (typeof defaultValue === 'boolean') {
+    if (typeof value === 'boolean') return null;
+    // Toggles also take the used share of the benefit, as the credit tracker does
+    if (typeof value === 'number' && value >= 0 && value <= 1) return null;
+    return 'must be true, false or a share between 0 and 1';
+  }
+  if (typeof value !== 'number' || !isFinite(value)) return 'must be a number';
+  if (value < 0) return 'must not be negative';
+  if (field?.max !== undefined && value > field.max) return 'must be at most ' + field.max;
+  return null;
+};
+
+// Returns { inputs, errors }. `inputs` is the card's defaults with every valid
+// field applied, so fields left out of the request keep their default;
+// `errors` maps each rejected field to a message and is empty when all passed.
+export const checkInputs = (raw, card = DEFAULT_CARD) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { inputs: null, errors: { inputs: 'must be a JSON object' } };
+  }
+
+  const defaults = getDefaultInputs(card);
+  const inputs = { ...defaults };
+  const errors = {};
+
+  Object.entries(raw).forEach(([key, value]) => {
+    const error = key in defaults
+      ? checkField(value, defaults[key], card.inputs.find(input => input.key === key))
+      : 'unknown input';
+    if (error) {
+      errors[key] = error;
+    } else {
+      inputs[key] = value;
+    }
+  });
+
+  return { inputs, errors };
+};
@@ -0,0 +1,61 @@
+// Point valuation presets. The catalog's own `pointValues` are the "card"
+// preset; the others replace them so every points-derived breakdown line
+// (earned points, Lyft and Peloton bonus points) is recomputed from the
+// user's cents-per-point. A valuation is chosen for one points program and
+// applies to every card earning in it, so cards compared or downgraded to
+// value the same points the same way.
+
+export const VALUATION_PRESETS = {
+  card: { label: 'CARD DEFAULT' },
+  cash: { label: 'CASH OUT', min: 0.010, max: 0.010, avg: 0.010 },
+  portal: { label: 'TRAVEL PORTAL', min: 0.010, max: 0.020, avg: 0.015 },
+  transfer: { label: 'TRANSFER PARTNERS', min: 0.015, max: 0.025, avg: 0.020 },
+  custom: { label: 'CUSTOM' }
+};
+
+export const DEFAULT_VALUATION = { preset: 'card', customCents: 1.75 };
+
+export const VALUATION_STORAGE_KEY = 'valoretti.valuation';
+
+// Capped at the card's `maxPointValue`, if any.
+export const resolvePointValues = (valuation, card) => {
+  const preset = VALUATION_PRESETS[valuation?.preset];
+  if (!preset || valuation.preset === 'card') return card.pointValues;
+
+  const cap = (value) => Math.min(value, card.maxPointValue ?? Infinity);
+
+  if (valuation.preset === 'custom') {
+    const cents = Number(valuation.customCents);
+    const value = cap(isFinite(cents) && cents >= 0 ? cents / 100 : card.pointValues.avg);
+    return { min: value, max: value, avg: value };
+  }
+
+  return { min: cap(preset.min), max: cap(preset.max), avg: cap(preset.avg) };
+};
+
+// The card with its point values replaced when it earns in `program`, the
+// points program the valuation was chosen for; cards earning another
+// currency keep their catalog values. Ready to hand to computeROI.
+export const applyValuation = (card, valuation, program = card.pointsProgram) => {
+  if (card.pointsProgram !== program) return card;
+  const pointValues = resolvePointValues(valuation, card);
+  return pointValues === card.pointValues ? card : { ...card, pointValues };
+};
+
+export const loadValuation = (storage) => {
+  try {
+    const parsed = JSON.parse(storage?.getItem(VALUATION_STORAGE_KEY) || 'null');
+    return parsed && VALUATION_PRESETS[parsed.preset] ? { ...DEFAULT_VALUATION, ...parsed } : DEFAULT_VALUATION;
+  } catch (error) {
+    console.error('Failed to load valuation:', error);
+    return DEFAULT_VALUATION;
+  }
+};
+
+export const saveValuation = (storage, valuation) => {
+  try {
+    storage?.setItem(VALUATION_STORAGE_KEY, JSON.stringify(valuation));
+  } catch (error) {
+    console.error('Failed to save valuation:', error);
+  }
+};
@@ -0,0 +1,30 @@
+import { DEFAULT_CARD, getCard } from '../../lib/cards'
+import { computeROI, getRecommendation } from '../../lib/roi'
+import { checkInputs } from '../../lib/validation'
+
+// POST /api/roi[?card=<id>] with a calculator inputs object as the JSON body.
+// Runs the same engine as the page with the card's default point values.
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ errors: { method: 'use POST' } })
+  }
+
+  const card = req.query.card ? getCard(req.query.card) : DEFAULT_CARD
+  if (!card) {
+    return res.status(400).json({ errors: { card: 'unknown card ' + req.query.card } })
+  }
+
+  const { inputs, errors } = checkInputs(req.body, card)
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ errors })
+  }
+
+  const results = computeROI(inputs, card)
+  return res.status(200).json({
+    card: { id: card.id, name: card.name, version: card.version },
+    inputs,
+    results,
+    recommendation: getRecommendation(results)
+  })
+}
@@ -0,0 +1,79 @@
+import Head from 'next/head'
+import { useCallback, useEffect, useRef, useState } from 'react'
+import SapphireReserveROICalculator from '../components/SapphireReserveROICalculator'
+import { EMBED_THEMES, PROTOCOL_VERSION, createMessage, parseEmbedParams, readInputsUpdate, readMessage } from '../lib/embed'
+
+// Compact calculator for iframes; see lib/embed.js for the query string and
+// the postMessage protocol.
+export default function Embed() {
+  const [params, setParams] = useState(null)
+  const [inputsUpdate, setInputsUpdate] = useState(null)
+  const containerRef = useRef(null)
+
+  // The query string is only readable in the browser
+  useEffect(() => {
+    setParams(parseEmbedParams(window.location.search))
+  }, [])
+
+  const post = useCallback((type, payload) => {
+    if (!params || window.parent === window) return
+    window.parent.postMessage(createMessage(type, payload), params.origin || '*')
+  }, [params])
+
+  useEffect(() => {
+    if (!params) return undefined
+
+    const handleMessage = (event) => {
+      if (params.origin && event.origin !== params.origin) return
+      const message = readMessage(event.data)
+      if (!message || message.type !== 'setInputs') return
+
+      const { inputs, errors } = readInputsUpdate(message.payload.inputs)
+      if (Object.keys(inputs).length > 0) setInputsUpdate(inputs)
+      if (Object.keys(errors).length > 0) post('error', { errors })
+    }
+
+    window.addEventListener('message', handleMessage)
+    post('ready', { version: PROTOCOL_VERSION })
+    return () => window.removeEventListener('message', handleMessage)
+  }, [params, post])
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!params || !container || typeof ResizeObserver === 'undefined') return undefined
+
+    let lastHeight = 0
+    const observer = new ResizeObserver(() => {
+      const height = Math.ceil(container.getBoundingClientRect().height)
+      if (height === lastHeight) return
+      lastHeight = height
+      post('resize', { height })
+    })
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [params, post])
+
+  const handleResultChange = useCallback((result) => post('resultChanged', result), [post])
+
+  return (
+    <>
+      <Head>
+        <title>Valoretti - Sapphire Reserve ROI Calculator</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="robots" content="noindex" />
+      </Head>
+      <div ref={containerRef}>
+        {params && (
+          <SapphireReserveROICalculator
+            embedded
+            background={EMBED_THEMES[params.theme].background}
+            initialInputs={params.inputs}
+            initialLocale={params.locale}
+            inputsUpdate={inputsUpdate}
+            onResultChange={handleResultChange}
+          />
+        )}
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,110 @@
+// Runs POST /api/roi against a local `next dev` server started for the suite.
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { DEFAULT_CARD } from '../lib/cards/index.js';
+import { computeROI } from '../lib/roi.js';
+
+const STARTUP_TIMEOUT = 120000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = createServer();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+let server;
+let baseUrl;
+
+const post = (body, query = '') => fetch(baseUrl + '/api/roi' + query, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// Polls until the route answers; the first request also compiles it.
+const waitForServer = async () => {
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error('next dev exited with code ' + server.exitCode);
+    try {
+      await fetch(baseUrl + '/api/roi');
+      return;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error('next dev did not start within ' + STARTUP_TIMEOUT / 1000 + 's');
+};
+
+beforeAll(async () => {
+  const port = await freePort();
+  baseUrl = 'http://127.0.0.1:' + port;
+  // Its own process group, so stopping it also stops the workers it starts
+  server = spawn('npx', ['--no-install', 'next', 'dev', '-p', String(port), '-H', '127.0.0.1'], {
+    detached: true,
+    stdio: 'ignore',
+    env: { ...process.env, NEXT_TELEMETRY_DISABLED: '1' }
+  });
+  await waitForServer();
+}, STARTUP_TIMEOUT);
+
+afterAll(async () => {
+  if (!server || server.exitCode !== null) return;
+  const exited = new Promise(resolve => server.once('exit', resolve));
+  process.kill(-server.pid, 'SIGTERM');
+  await exited;
+});
+
+describe('POST /api/roi', () => {
+  it('prices a valid profile', async () => {
+    const inputs = { chaseTravel: 5000, dining: 8000 };
+    const response = await post(inputs);
+    expect(response.status).toBe(200);
+
+    const body = await response.json();
+    expect(body.card).toEqual({ id: DEFAULT_CARD.id, name: DEFAULT_CARD.name, version: DEFAULT_CARD.version });
+    expect(body.inputs).toMatchObject(inputs);
+    expect(body.results.totalValue).toBeCloseTo(computeROI(body.inputs).totalValue);
+    expect(body.recommendation).toHaveProperty('recommended');
+  });
+
+  it('prices another card with ?card=', async () => {
+    const response = await post({ dining: 8000 }, '?card=sapphire-preferred');
+    expect(response.status).toBe(200);
+    expect((await response.json()).card.id).toBe('sapphire-preferred');
+  });
+
+  it('rejects each bad field with its own message', async () => {
+    const response = await post({ dining: -1, travelCreditUsage: 400, globalEntryValue: 'yes', bogus: 1 });
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual({
+      dining: 'must not be negative',
+      travelCreditUsage: 'must be at most 300',
+      globalEntryValue: 'must be true, false or a share between 0 and 1',
+      bogus: 'unknown input'
+    });
+  });
+
+  it('rejects a body that is not an object', async () => {
+    const response = await post([1, 2]);
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toHaveProperty('inputs');
+  });
+
+  it('rejects an unknown card', async () => {
+    const response = await post({}, '?card=platinum-plus');
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors.card).toBe('unknown card platinum-plus');
+  });
+
+  it('answers other methods with 405 and an Allow header', async () => {
+    const response = await fetch(baseUrl + '/api/roi');
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('POST');
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { applyBaseline } from '../lib/baseline.js';
+import { getCard } from '../lib/cards/index.js';
+import { DEFAULT_INPUTS, computeROI } from '../lib/roi.js';
+
+const flat2 = { preset: 'flat2', customPercent: {} };
+const net = (inputs, card) => {
+  const results = computeROI({ ...DEFAULT_INPUTS, ...inputs }, card);
+  return results.totalValue - results.totalCost;
+};
+
+describe('applyBaseline', () => {
+  it('counts only the value over the baseline on the earned-points line', () => {
+    const freedom = applyBaseline(getCard('freedom-unlimited'), flat2);
+    // 1.5% against 2% on $20,000
+    expect(computeROI({ ...DEFAULT_INPUTS, otherSpending: 20000 }, freedom).breakdown.points.value).toBeCloseTo(-100);
+  });
+
+  it('takes the baseline off authorized-user spend too', () => {
+    const card = getCard('freedom-unlimited');
+    const freedom = applyBaseline(card, flat2);
+    const ownSpend = { otherSpending: 20000 };
+    const shared = { otherSpending: 10000, authorizedUsers: 1, authorizedUser1Spend: 10000 };
+    expect(net(shared, freedom)).toBeCloseTo(net(ownSpend, freedom));
+    expect(net(shared, card)).toBeCloseTo(net(ownSpend, card));
+  });
+
+  it('leaves the authorized-user lines alone without a baseline', () => {
+    const card = getCard('sapphire-reserve');
+    expect(applyBaseline(card, { preset: 'none' })).toBe(card);
+  });
+
+  it('takes the baseline off once per dollar when a card also earns anniversary points', () => {
+    const preferred = applyBaseline(getCard('sapphire-preferred'), flat2);
+    const { breakdown } = computeROI({ ...DEFAULT_INPUTS, otherSpending: 10000 }, preferred);
+    expect(breakdown.points.value).toBeCloseTo(10000 * 0.0125 - 200);
+    expect(breakdown.anniversaryBonus.value).toBeCloseTo(1000 * 0.0125);
+  });
+});
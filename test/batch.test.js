@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { batchVerdict, evaluateBatch, parseBatchCSV } from '../lib/batch.js';
+import { DEFAULT_INPUTS } from '../lib/roi.js';
+
+const CSV = `name,dining,chaseTravel,globalEntryValue,lyftRides
+Ana,"$8,000",$1000,yes,
+Ben,,,no,3
+Cy,-5,lots,maybe,
+,100,,,
+`;
+
+describe('parseBatchCSV', () => {
+  const rows = parseBatchCSV(CSV);
+
+  it('reads dollar amounts with $ and thousands separators', () => {
+    expect(rows[0].inputs).toMatchObject({ dining: 8000, chaseTravel: 1000 });
+  });
+
+  it('reads yes/no cells as toggles', () => {
+    expect(rows[0].inputs.globalEntryValue).toBe(true);
+    expect(rows[1].inputs.globalEntryValue).toBe(false);
+  });
+
+  it('gives blank cells the default', () => {
+    expect(rows[0].inputs.lyftRides).toBe(DEFAULT_INPUTS.lyftRides);
+    expect(rows[1].inputs).toMatchObject({ dining: DEFAULT_INPUTS.dining, chaseTravel: DEFAULT_INPUTS.chaseTravel, lyftRides: 3 });
+    expect(rows[1].errors).toEqual({});
+  });
+
+  it('reports bad cells by field, on 1-based spreadsheet rows', () => {
+    expect(rows.map(row => row.row)).toEqual([2, 3, 4, 5]);
+    expect(rows[2].errors).toEqual({
+      dining: 'must not be negative',
+      chaseTravel: 'must be a number',
+      globalEntryValue: 'must be true, false or a share between 0 and 1'
+    });
+    expect(rows[3].name).toBe('Row 5');
+  });
+
+  it('requires a name column', () => {
+    expect(() => parseBatchCSV('dining\n100\n')).toThrow('Missing a "name" column');
+  });
+});
+
+describe('evaluateBatch', () => {
+  it('prices valid rows and marks the rest as errors', () => {
+    const evaluations = evaluateBatch(parseBatchCSV(CSV));
+    expect(evaluations[0].results.totalValue).toBeGreaterThan(0);
+    expect(batchVerdict(evaluations[0])).not.toBe('ERROR');
+    expect(evaluations[2].results).toBeNull();
+    expect(batchVerdict(evaluations[2])).toBe('ERROR');
+  });
+});
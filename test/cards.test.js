@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { CARDS, DEFAULT_CARD, getCard } from '../lib/cards/index.js';
+import { DEFAULT_INPUTS, computeROI } from '../lib/roi.js';
+
+const partsOf = (card) => card.benefits.flatMap(benefit => benefit.parts);
+
+// Input -> subscription key, from the parts the default card prices at perceived value
+const SUBSCRIPTION_INPUTS = Object.fromEntries(
+  partsOf(DEFAULT_CARD).filter(part => part.perceived).map(part => [part.input, part.perceived])
+);
+
+describe('card catalog', () => {
+  it.each(Object.values(CARDS))('prices $name subscription perks at perceived value', (card) => {
+    partsOf(card)
+      .filter(part => part.input in SUBSCRIPTION_INPUTS)
+      .forEach(part => expect(part.perceived).toBe(SUBSCRIPTION_INPUTS[part.input]));
+  });
+
+  it('drops DashPass on every card when the user already has it', () => {
+    const inputs = { ...DEFAULT_INPUTS, dashpassHaveElsewhere: true };
+    expect(computeROI(inputs, DEFAULT_CARD).breakdown.dashpass.value).toBe(0);
+    expect(computeROI(inputs, getCard('sapphire-preferred')).breakdown.dashpass.value).toBe(0);
+  });
+
+  it('ranges DashPass the same on every card, by perceived value alone', () => {
+    const inputs = { ...DEFAULT_INPUTS, dashpassWouldPay: false, dashpassPerceivedValue: 50 };
+    const reserve = computeROI(inputs, DEFAULT_CARD).breakdown.dashpass;
+    const preferred = computeROI(inputs, getCard('sapphire-preferred')).breakdown.dashpass;
+    expect(preferred.min).toBeCloseTo(reserve.min);
+    expect(preferred.max).toBeCloseTo(reserve.max);
+    expect(preferred.min).toBeCloseTo(59.94);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { CARDS, DEFAULT_CARD, getCard } from '../lib/cards/index.js';
+import { compareCards, findBestAlternative } from '../lib/comparison.js';
+import { DEFAULT_INPUTS, computeROI } from '../lib/roi.js';
+
+describe('compareCards', () => {
+  it('counts coupon credits without an input at half their face value', () => {
+    const { breakdown } = computeROI(DEFAULT_INPUTS, getCard('amex-platinum'));
+    expect(breakdown.hotelCredit).toMatchObject({ value: 300, min: 0, max: 600 });
+    expect(breakdown.airlineCredit.value).toBe(100);
+  });
+
+  it('reports the value that comes from credits without an input', () => {
+    const platinum = compareCards(DEFAULT_INPUTS).find(entry => entry.card.id === 'amex-platinum');
+    expect(platinum.assumedValue).toBeCloseTo(300 + 100 + 100 + 200);
+    expect(compareCards(DEFAULT_INPUTS).find(entry => entry.card.id === DEFAULT_CARD.id).assumedValue).toBe(0);
+  });
+});
+
+describe('findBestAlternative', () => {
+  it('does not suggest a switch on assumed credits alone', () => {
+    const comparison = compareCards(DEFAULT_INPUTS);
+    expect(comparison[0].card.id).not.toBe('amex-platinum');
+    expect(findBestAlternative(comparison, DEFAULT_CARD.id).card.id).not.toBe('amex-platinum');
+
+    // Ranked first, but only thanks to credits the profile says nothing about
+    const generous = { ...getCard('amex-platinum'), annualFee: 100 };
+    const rigged = compareCards(DEFAULT_INPUTS, [DEFAULT_CARD, generous]);
+    expect(rigged[0].card).toBe(generous);
+    expect(findBestAlternative(rigged, DEFAULT_CARD.id)).toBeNull();
+  });
+
+  it('suggests the best card that wins on the profile\'s own numbers', () => {
+    const inputs = { ...DEFAULT_INPUTS, otherSpending: 60000, travelCreditUsage: 0, diningCreditH1: 0, diningCreditH2: 0 };
+    const best = findBestAlternative(compareCards(inputs, Object.values(CARDS)), DEFAULT_CARD.id);
+    expect(best.card.id).toBe('venture-x');
+    expect(best.net - best.assumedValue).toBeGreaterThan(computeROI(inputs).totalValue - 795);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CARD } from '../lib/cards/index.js';
+import { applyTrackedCredits, emptyCreditLog, setLoggedUsage, trackCredits } from '../lib/creditTracker.js';
+import { DEFAULT_INPUTS, computeROI } from '../lib/roi.js';
+
+// After June: eleven months are over, December is open
+const today = new Date(2025, 11, 10);
+
+const logMonths = (log, creditKey, amount, months) =>
+  months.reduce((next, month) => setLoggedUsage(next, 2025, creditKey, month, amount), log);
+
+describe('applyTrackedCredits', () => {
+  it('prices logged Lyft credit without changing the bonus points', () => {
+    const inputs = { ...DEFAULT_INPUTS, lyftRides: 4 };
+    const log = logMonths(emptyCreditLog(), 'lyft', 10, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    const tracked = applyTrackedCredits(inputs, DEFAULT_CARD, trackCredits(log, inputs, DEFAULT_CARD, today));
+
+    expect(tracked.lyftRides).toBe(4);
+    const lyft = computeROI(tracked).breakdown.lyft;
+    // $120 of logged credit plus the bonus points of 4 rides
+    expect(lyft.value).toBeCloseTo(120 + 4 * 80 * 0.0175);
+  });
+
+  it('replaces inputs that only their credit reads', () => {
+    const log = logMonths(emptyCreditLog(), 'doorDashRestaurant', 5, [0, 1, 2, 3, 4, 5]);
+    const tracked = applyTrackedCredits(DEFAULT_INPUTS, DEFAULT_CARD, trackCredits(log, DEFAULT_INPUTS, DEFAULT_CARD, today));
+    // Six of eleven finished months used, projected onto the open December
+    expect(tracked.restaurantOrders).toBeCloseTo((6 * 5 + (6 / 11) * 5) / 60);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CARD } from '../lib/cards/index.js';
+import { applyTrackedCredits, emptyCreditLog, setLoggedUsage, trackCredits } from '../lib/creditTracker.js';
+import { buildExportDocument, parseExportDocument } from '../lib/report.js';
+import { DEFAULT_INPUTS, computeROI } from '../lib/roi.js';
+
+const roundTrip = (inputs) =>
+  parseExportDocument(JSON.stringify(buildExportDocument(inputs, computeROI(inputs))));
+
+describe('JSON export', () => {
+  it('re-imports the inputs it exported', () => {
+    const inputs = { ...DEFAULT_INPUTS, dining: 8000, globalEntryValue: true, lyftRides: 3 };
+    expect(roundTrip(inputs)).toEqual(inputs);
+  });
+
+  it('keeps tracked toggle shares', () => {
+    expect(roundTrip({ ...DEFAULT_INPUTS, restaurantOrders: 0.5 }).restaurantOrders).toBe(0.5);
+  });
+
+  it('keeps tracked credit dollars stored apart from their input', () => {
+    const inputs = { ...DEFAULT_INPUTS, lyftRides: 12 };
+    const log = [...Array(12).keys()].reduce((next, month) => setLoggedUsage(next, 2025, 'lyft', month, 0), emptyCreditLog());
+    const tracking = trackCredits(log, inputs, DEFAULT_CARD, new Date(2025, 11, 31));
+    const priced = applyTrackedCredits(inputs, DEFAULT_CARD, tracking);
+
+    const imported = roundTrip(priced);
+    expect(imported.lyftCreditTracked).toBe(0);
+    // Only the bonus points of 12 rides, as in the export
+    expect(computeROI(imported).breakdown.lyft.value).toBeCloseTo(computeROI(priced).breakdown.lyft.value);
+    expect(computeROI(imported).breakdown.lyft.value).toBeCloseTo(12 * 80 * 0.0175);
+  });
+
+  it('drops values of the wrong type', () => {
+    const imported = roundTrip({ ...DEFAULT_INPUTS, restaurantOrders: 3, dining: true });
+    expect(imported.restaurantOrders).toBe(false);
+    expect(imported.dining).toBe(0);
+  });
+});
@@ -0,0 +1,200 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import sapphireReserve from '../lib/cards/sapphireReserve.js';
+import {
+  DEFAULT_INPUTS,
+  computeROI,
+  emptyResults,
+  getRecommendation,
+  isValidResults,
+  validateInputs
+} from '../lib/roi.js';
+
+// Reserve point values: 1.5¢ min, 1.75¢ avg, 2¢ max
+const line = (overrides, key) => computeROI({ ...DEFAULT_INPUTS, ...overrides }).breakdown[key];
+
+describe('computeROI breakdown lines', () => {
+  it('values earned points at the average and ranges them by point value', () => {
+    const points = line({ chaseTravel: 1000, flightsHotels: 1000, dining: 1000, otherSpending: 1000 }, 'points');
+    // 8x + 4x + 3x + 1x
+    expect(points.details.values.points).toBe(16000);
+    expect(points.value).toBeCloseTo(280);
+    expect(points.min).toBeCloseTo(240);
+    expect(points.max).toBeCloseTo(320);
+  });
+
+  it('shows the points line even with no spending', () => {
+    expect(line({}, 'points').value).toBe(0);
+  });
+
+  it('clamps the travel credit to $300', () => {
+    expect(line({ travelCreditUsage: 200 }, 'travelCredit')).toMatchObject({ value: 200, min: 200, max: 200 });
+    expect(line({ travelCreditUsage: 1000 }, 'travelCredit').value).toBe(300);
+    expect(line({ travelCreditUsage: -50 }, 'travelCredit').value).toBe(0);
+  });
+
+  it('caps each half of the dining credit at $150', () => {
+    expect(line({ diningCreditH1: 400, diningCreditH2: 100 }, 'diningCredit').value).toBe(250);
+  });
+
+  it('clamps the Edit stays credit to $500', () => {
+    expect(line({ editStaysValue: 350 }, 'editCredit').value).toBe(350);
+    expect(line({ editStaysValue: 2000 }, 'editCredit').value).toBe(500);
+    expect(line({ editStaysValue: 0 }, 'editCredit')).toBeUndefined();
+  });
+
+  it('caps each half of the StubHub credit at $150', () => {
+    expect(line({ stubhubH1: 200, stubhubH2: 50 }, 'stubhubCredit').value).toBe(200);
+  });
+
+  it('prices DashPass per month at perceived value', () => {
+    expect(line({}, 'dashpass').value).toBeCloseTo(119.88);
+    const partial = line({ dashpassWouldPay: false, dashpassPerceivedValue: 25 }, 'dashpass');
+    expect(partial.value).toBeCloseTo(29.97);
+    expect(partial.retail).toBeCloseTo(119.88);
+    expect(line({ dashpassHaveElsewhere: true }, 'dashpass').value).toBe(0);
+  });
+
+  it('counts DoorDash toggles and tracked shares with a 70% floor', () => {
+    const both = line({ restaurantOrders: true, nonRestaurantOrders: true }, 'doorDashCredits');
+    expect(both.value).toBe(300);
+    expect(both.min).toBeCloseTo(210);
+    expect(both.max).toBe(300);
+    expect(line({ restaurantOrders: true }, 'doorDashCredits').value).toBe(60);
+    expect(line({ restaurantOrders: 0.5 }, 'doorDashCredits').value).toBe(30);
+  });
+
+  it('caps the Lyft credit at $120 and adds bonus points', () => {
+    const lyft = line({ lyftRides: 6 }, 'lyft');
+    // $60 of credit plus 6 * 80 points
+    expect(lyft.value).toBeCloseTo(60 + 480 * 0.0175);
+
+    const capped = line({ lyftRides: 20 }, 'lyft');
+    expect(capped.value).toBeCloseTo(120 + 1600 * 0.0175);
+    expect(capped.min).toBeCloseTo(120 + 1600 * 0.015);
+    expect(capped.max).toBeCloseTo(120 + 1600 * 0.02);
+  });
+
+  it('caps Peloton equipment points at $5,000 of purchases', () => {
+    const peloton = line({ pelotonMembership: true, pelotonEquipment: 8000 }, 'peloton');
+    const value = 120 + 5000 * 9 * 0.0175;
+    expect(peloton.value).toBeCloseTo(value);
+    expect(peloton.min).toBeCloseTo(value * 0.8);
+    expect(peloton.max).toBeCloseTo(value * 1.2);
+    expect(line({ pelotonEquipment: 5000 }, 'peloton').value)
+      .toBeCloseTo(line({ pelotonEquipment: 9000 }, 'peloton').value);
+  });
+
+  it('values Priority Pass visits at $35 with a wide range', () => {
+    expect(line({ priorityPassVisits: 4 }, 'priorityPass')).toMatchObject({ value: 140, min: 70, max: 210 });
+  });
+
+  it('amortizes Global Entry over five years', () => {
+    expect(line({ globalEntryValue: true }, 'globalEntry').value).toBe(24);
+  });
+
+  it('prices Apple services at twelve months of TV+ and Music', () => {
+    expect(line({ appleServices: true }, 'appleServices').value).toBeCloseTo(215.76);
+  });
+});
+
+describe('high-spender threshold', () => {
+  const perks = { shopsCreditUsage: 400, southwestCreditUsage: 100, southwestFlights: 2, ihgNights: 3 };
+
+  it('leaves the line out below $75,000 of qualifying spend', () => {
+    expect(line({ ...perks, otherSpending: 74999 }, 'highSpender')).toBeUndefined();
+  });
+
+  it('adds the line at $75,000 with the Shops credit clamped to $250', () => {
+    const highSpender = line({ ...perks, otherSpending: 75000 }, 'highSpender');
+    const value = 250 + 100 + 2 * 15 + 3 * 20;
+    expect(highSpender.value).toBe(value);
+    expect(highSpender.min).toBeCloseTo(value * 0.8);
+    expect(highSpender.max).toBeCloseTo(value * 1.2);
+  });
+
+  it('counts authorized-user spend toward the threshold', () => {
+    const inputs = { ...perks, otherSpending: 60000, authorizedUsers: 1, authorizedUser1Spend: 15000 };
+    expect(line(inputs, 'highSpender')).toBeDefined();
+  });
+
+  it('clamps the Southwest credit to $500', () => {
+    expect(line({ otherSpending: 75000, southwestCreditUsage: 900 }, 'highSpender').value).toBe(500);
+  });
+});
+
+describe('computeROI totals', () => {
+  it('derives ROI and its range from the line totals against the fee', () => {
+    const results = computeROI({ ...DEFAULT_INPUTS, dining: 10000 });
+    const total = Object.values(results.breakdown).reduce((sum, benefit) => sum + benefit.value, 0);
+    expect(results.totalCost).toBe(795);
+    expect(results.totalValue).toBeCloseTo(total);
+    expect(results.roi).toBeCloseTo(((total - 795) / 795) * 100);
+    expect(results.minROI).toBeLessThan(results.roi);
+    expect(results.maxROI).toBeGreaterThan(results.roi);
+  });
+
+  it('adds the authorized-user fee to the cost', () => {
+    expect(computeROI({ ...DEFAULT_INPUTS, authorizedUsers: 2 }).totalCost).toBe(795 + 2 * 195);
+  });
+
+  it('reports -100% when nothing is used', () => {
+    const results = computeROI({ ...DEFAULT_INPUTS, travelCreditUsage: 0, diningCreditH1: 0, diningCreditH2: 0, dashpassUsage: 0 });
+    expect(results).toMatchObject({ totalValue: 0, roi: -100, minROI: -100, maxROI: -100 });
+  });
+
+  it('recommends the card only with a positive ROI', () => {
+    expect(getRecommendation(computeROI({ ...DEFAULT_INPUTS, dashpassUsage: 0, travelCreditUsage: 0 })).recommended)
+      .toBe(false);
+    expect(getRecommendation(computeROI({ ...DEFAULT_INPUTS, chaseTravel: 10000 })).recommended).toBe(true);
+  });
+});
+
+describe('computeROI error fallback', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('returns emptyResults for inputs that are not an object', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(computeROI(null)).toEqual(emptyResults());
+  });
+
+  it('returns the card\'s emptyResults when a benefit cannot be priced', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const broken = {
+      ...sapphireReserve,
+      annualFee: 95,
+      benefits: [{ key: 'broken', details: '', parts: [{ kind: 'unknown' }] }]
+    };
+    expect(computeROI(DEFAULT_INPUTS, broken)).toEqual(emptyResults(broken));
+    expect(emptyResults(broken)).toMatchObject({ totalValue: 0, totalCost: 95, roi: -100 });
+  });
+});
+
+describe('validateInputs', () => {
+  it('keeps finite numbers and booleans and zeroes everything else', () => {
+    expect(validateInputs({ a: 5, b: true, c: NaN, d: Infinity, e: '12', f: null, g: undefined })).toEqual({
+      a: 5, b: true, c: 0, d: 0, e: 0, f: 0, g: 0
+    });
+  });
+
+  it('throws for anything but an object', () => {
+    expect(() => validateInputs(null)).toThrow('Invalid inputs');
+    expect(() => validateInputs(42)).toThrow('Invalid inputs');
+  });
+});
+
+describe('isValidResults', () => {
+  it('accepts results with every required key', () => {
+    expect(isValidResults(emptyResults())).toBe(true);
+    expect(isValidResults(computeROI(DEFAULT_INPUTS))).toBe(true);
+  });
+
+  it('rejects missing keys and non-objects', () => {
+    const { breakdown, ...partial } = emptyResults();
+    expect(breakdown).toEqual({});
+    expect(isValidResults(partial)).toBe(false);
+    expect(isValidResults(null)).toBe(false);
+    expect(isValidResults('results')).toBe(false);
+  });
+});
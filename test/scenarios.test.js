@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CARD } from '../lib/cards/index.js';
+import { DEFAULT_INPUTS } from '../lib/roi.js';
+import { STORAGE_KEY, loadStore, migrateInputs, migrateScenario } from '../lib/scenarios.js';
+
+// Inputs as the first catalog (2025-06-23) saved them: annual dining and
+// StubHub amounts and on/off high-spender perks
+const firstCatalogInputs = {
+  dining: 8000,
+  diningCredit: 200,
+  stubhubSpending: 400,
+  useShopsCredit: true,
+  useSouthwestCredit: false,
+  useIHGDiamond: true,
+  useSouthwestAList: true
+};
+
+const storageWith = (value) => ({ getItem: (key) => (key === STORAGE_KEY ? JSON.stringify(value) : null) });
+
+describe('migrateInputs', () => {
+  it('splits annual credits into halves and prices perks from usage for the first catalog', () => {
+    const migrated = migrateInputs(firstCatalogInputs, '2025-06-23');
+    expect(migrated).toEqual({
+      ...DEFAULT_INPUTS,
+      dining: 8000,
+      diningCreditH1: 100,
+      diningCreditH2: 100,
+      // Each half is capped at $150
+      stubhubH1: 150,
+      stubhubH2: 150,
+      shopsCreditUsage: 250,
+      ihgNights: 10,
+      southwestFlights: 10
+    });
+    expect(migrated).not.toHaveProperty('diningCredit');
+    expect(migrated).not.toHaveProperty('useShopsCredit');
+  });
+
+  it('runs every migration for a save with no catalog version', () => {
+    expect(migrateInputs(firstCatalogInputs, undefined)).toEqual(migrateInputs(firstCatalogInputs, '2025-06-23'));
+  });
+
+  it('only converts perk toggles for a save from 2025-06-24', () => {
+    const migrated = migrateInputs({ diningCreditH1: 120, diningCredit: 300, useSouthwestCredit: true }, '2025-06-24');
+    expect(migrated.diningCreditH1).toBe(120);
+    expect(migrated.diningCreditH2).toBe(DEFAULT_INPUTS.diningCreditH2);
+    expect(migrated.southwestCreditUsage).toBe(500);
+  });
+
+  it('leaves saves from the current catalog as they are', () => {
+    const inputs = { ...DEFAULT_INPUTS, diningCreditH1: 75, shopsCreditUsage: 100 };
+    expect(migrateInputs(inputs, DEFAULT_CARD.version)).toEqual(inputs);
+  });
+
+  it('drops unknown keys and resets values of the wrong type', () => {
+    const migrated = migrateInputs({ retiredInput: 5, dining: 'lots' }, DEFAULT_CARD.version);
+    expect(migrated).toEqual(DEFAULT_INPUTS);
+  });
+});
+
+describe('loadStore', () => {
+  it('migrates each saved scenario to the current catalog', () => {
+    const store = loadStore(storageWith({
+      version: 1,
+      activeId: 'a',
+      scenarios: [
+        { id: 'a', name: 'Old', inputs: firstCatalogInputs, catalogVersion: '2025-06-23' },
+        { id: 'b', name: 'Unversioned', inputs: { diningCredit: 100 } }
+      ]
+    }));
+    expect(store.activeId).toBe('a');
+    expect(store.scenarios.map(scenario => scenario.catalogVersion)).toEqual([DEFAULT_CARD.version, DEFAULT_CARD.version]);
+    expect(store.scenarios[0].inputs.shopsCreditUsage).toBe(250);
+    expect(store.scenarios[1].inputs).toMatchObject({ diningCreditH1: 50, diningCreditH2: 50 });
+  });
+
+  it('keeps a current scenario untouched', () => {
+    const scenario = { id: 'a', name: 'Now', inputs: { dining: 1 }, catalogVersion: DEFAULT_CARD.version };
+    expect(migrateScenario(scenario)).toBe(scenario);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CARD } from '../lib/cards/index.js';
+import { DEFAULT_INPUTS, computeROI } from '../lib/roi.js';
+import { solveBreakEven } from '../lib/sensitivity.js';
+
+const roiWith = (inputs, key, value) => computeROI({ ...inputs, [key]: value }).roi;
+
+describe('solveBreakEven', () => {
+  it('finds the dining spend where ROI reaches 0%', () => {
+    const { value, reachable } = solveBreakEven(DEFAULT_INPUTS, DEFAULT_CARD, 'dining');
+    expect(reachable).toBe(true);
+    expect(roiWith(DEFAULT_INPUTS, 'dining', value)).toBeGreaterThanOrEqual(0);
+    expect(roiWith(DEFAULT_INPUTS, 'dining', value)).toBeCloseTo(0, 2);
+    // The tolerance is a dollar, rounded up
+    expect(roiWith(DEFAULT_INPUTS, 'dining', value - 2)).toBeLessThan(0);
+  });
+
+  it('reports a capped credit that cannot close the gap as unreachable', () => {
+    const inputs = { ...DEFAULT_INPUTS, dashpassUsage: 0, travelCreditUsage: 0 };
+    expect(roiWith(inputs, 'travelCreditUsage', 300)).toBeLessThan(0);
+    expect(solveBreakEven(inputs, DEFAULT_CARD, 'travelCreditUsage')).toEqual({ value: null, reachable: false });
+  });
+
+  it('returns 0 when ROI is already positive', () => {
+    const inputs = { ...DEFAULT_INPUTS, chaseTravel: 10000 };
+    expect(computeROI(inputs).roi).toBeGreaterThan(0);
+    expect(solveBreakEven(inputs, DEFAULT_CARD, 'dining')).toEqual({ value: 0, reachable: true });
+  });
+});
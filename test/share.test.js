@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { decodeInputs, encodeInputs } from '../lib/share.js';
+import { DEFAULT_INPUTS } from '../lib/roi.js';
+
+describe('share links', () => {
+  it('round-trips numbers and toggles', () => {
+    const inputs = { ...DEFAULT_INPUTS, dining: 8000, appleServices: true };
+    expect(decodeInputs(encodeInputs(inputs))).toEqual(inputs);
+  });
+
+  it('keeps tracked toggle shares', () => {
+    const inputs = { ...DEFAULT_INPUTS, restaurantOrders: 0.5 };
+    expect(decodeInputs(encodeInputs(inputs)).restaurantOrders).toBe(0.5);
+  });
+
+  it('turns anything else in a toggle into false', () => {
+    expect(decodeInputs('#restaurantOrders=3&appleServices=yes')).toMatchObject({
+      restaurantOrders: false,
+      appleServices: false
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { MIN_ANNUALIZE_DAYS, annualizeTransactions, parseTransactions } from '../lib/transactions.js';
+
+// Chase layout: purchases negative, payments and returns positive
+const CHASE_CSV = `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+01/05/2025,01/06/2025,STARBUCKS 123,Food & Drink,Sale,-12.50,
+01/10/2025,01/11/2025,CL *CHASE TRAVEL,Travel,Sale,-500.00,
+01/15/2025,01/16/2025,DELTA AIR LINES,Travel,Sale,-300.00,
+01/20/2025,01/20/2025,Payment Thank You-Mobile,,Payment,1000.00,
+02/01/2025,02/02/2025,AMAZON MKTPL,Shopping,Sale,-100.00,
+02/03/2025,02/04/2025,AMAZON MKTPL,Shopping,Return,25.00,
+`;
+
+// Generic layout: debit and credit columns, merchant category codes
+const GENERIC_CSV = `Trans. Date,Merchant,MCC,Debit,Credit
+2025-03-01,CORNER BISTRO,5813,40.00,
+2025-03-02,GRAND PALACE,7011,200.00,
+2025-03-03,ACME,3100,150.00,
+2025-03-04,GROCER,5411,"$1,020.00",
+2025-03-05,GROCER,5411,,20.00
+2025-03-05,AUTOPAY,,,500.00
+`;
+
+const byDescription = (rows) => Object.fromEntries(rows.map(row => [row.description, row]));
+
+describe('parseTransactions', () => {
+  it('reads a Chase export, flipping its negative purchases into spend', () => {
+    const rows = parseTransactions(CHASE_CSV);
+    expect(rows).toHaveLength(5);
+    expect(rows.map(row => [row.assigned, row.spend])).toEqual([
+      ['dining', 12.5],
+      ['chaseTravel', 500],
+      ['flightsHotels', 300],
+      ['otherSpending', 100],
+      // Returns count as negative spend
+      ['otherSpending', -25]
+    ]);
+  });
+
+  it('reads a generic export by its column aliases and classifies by MCC range', () => {
+    const rows = byDescription(parseTransactions(GENERIC_CSV).slice(0, 4));
+    expect(rows['CORNER BISTRO']).toMatchObject({ assigned: 'dining', spend: 40 });
+    expect(rows['GRAND PALACE']).toMatchObject({ assigned: 'flightsHotels', spend: 200 });
+    expect(rows.ACME).toMatchObject({ assigned: 'flightsHotels', spend: 150 });
+    expect(rows.GROCER).toMatchObject({ assigned: 'otherSpending', spend: 1020 });
+  });
+
+  it('keeps positive purchases positive when most rows are positive, and drops payments', () => {
+    const rows = parseTransactions(GENERIC_CSV);
+    expect(rows).toHaveLength(5);
+    expect(rows[4]).toMatchObject({ description: 'GROCER', spend: -20 });
+  });
+
+  it('rejects files without date and description columns', () => {
+    expect(() => parseTransactions('Amount,Memo\n12,lunch\n')).toThrow('Unrecognized CSV');
+  });
+});
+
+describe('annualizeTransactions', () => {
+  it('scales totals over the span of the transactions', () => {
+    const rows = parseTransactions(CHASE_CSV).concat(
+      parseTransactions('Date,Description,Category,Amount\n07/04/2025,CORNER BISTRO,Food & Drink,-1\n07/05/2025,GROCER,Groceries,-1\n07/06/2025,GROCER,Groceries,-1\n')
+    );
+    const { totals, annualized, days } = annualizeTransactions(rows);
+    // January 5 to July 6, both days included
+    expect(days).toBe(183);
+    expect(totals.otherSpending).toBe(77);
+    expect(annualized.otherSpending).toBe(Math.round(77 * 365 / 183));
+  });
+
+  it('never annualizes over less than the minimum window', () => {
+    const rows = parseTransactions(GENERIC_CSV);
+    const { days, annualized } = annualizeTransactions(rows);
+    expect(days).toBe(5);
+    expect(annualized.dining).toBe(Math.round(40 * 365 / MIN_ANNUALIZE_DAYS));
+  });
+
+  it('returns zeroes for no transactions', () => {
+    expect(annualizeTransactions([])).toMatchObject({
+      annualized: { chaseTravel: 0, flightsHotels: 0, dining: 0, otherSpending: 0 },
+      days: 0
+    });
+  });
+});
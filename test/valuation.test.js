@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_CARD, getCard } from '../lib/cards/index.js';
+import { analyzeProductChanges } from '../lib/productChange.js';
+import { DEFAULT_INPUTS, computeROI } from '../lib/roi.js';
+import { applyValuation } from '../lib/valuation.js';
+
+const cash = { preset: 'cash' };
+const program = DEFAULT_CARD.pointsProgram;
+
+describe('applyValuation', () => {
+  it('values the same points the same way on every card in the program', () => {
+    const inputs = { ...DEFAULT_INPUTS, dining: 10000 };
+    const reserve = computeROI(inputs, applyValuation(DEFAULT_CARD, cash, program));
+    const preferred = computeROI(inputs, applyValuation(getCard('sapphire-preferred'), cash, program));
+    expect(reserve.breakdown.points.value).toBeCloseTo(300);
+    expect(preferred.breakdown.points.value).toBeCloseTo(300);
+  });
+
+  it('leaves cards earning another currency at their catalog values', () => {
+    const platinum = getCard('amex-platinum');
+    expect(applyValuation(platinum, cash, program)).toBe(platinum);
+  });
+
+  it('caps the valuation at the card\'s own ceiling', () => {
+    const freedom = applyValuation(getCard('freedom-unlimited'), { preset: 'transfer' }, program);
+    expect(freedom.pointValues).toEqual({ min: 0.01, max: 0.01, avg: 0.01 });
+  });
+});
+
+describe('analyzeProductChanges', () => {
+  it('prices downgrades with the same valuation as the current card', () => {
+    const prepare = (card) => applyValuation(card, cash, program);
+    const paths = analyzeProductChanges({ ...DEFAULT_INPUTS, pointsBalance: 100000 }, prepare(DEFAULT_CARD), prepare);
+    const preferred = paths.find(path => path.card?.id === 'sapphire-preferred');
+    expect(preferred.card.pointValues.avg).toBe(0.01);
+    // Same cents per point, so the balance keeps its value
+    expect(preferred.oneTime).toBe(0);
+  });
+});